@@ -0,0 +1,6068 @@
+// ============================================
+// TINY KV STORE PRO - CORE
+// Version 2.0.0
+//
+// Headless store: no DOM or localStorage references.
+// Loads as a classic <script>, a CommonJS module, or
+// through tiny-kv-store-core.mjs as an ES module.
+// ============================================
+
+// ============================================
+// ENCRYPTION MODULE
+// ============================================
+//
+// AES-256-GCM through the Web Crypto API. Values are encrypted with
+// random data keys held in a Keyring; the keyring itself is protected
+// by a key derived from the master passphrase with PBKDF2.
+// Encrypted values are self-describing strings:
+//
+//   gcm2.<iv>.<ciphertext>             data key named by entry.keyId
+//   gcm1.<salt>.<iv>.<ciphertext>      legacy: key derived from the passphrase
+//
+// (each part base64).
+
+const webCrypto = (typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.subtle)
+    ? globalThis.crypto
+    : (typeof require === 'function' ? require('crypto').webcrypto : null);
+
+const Crypto = {
+    FORMAT: 'gcm2',
+    LEGACY_FORMAT: 'gcm1',
+    ITERATIONS: 600000,
+
+    toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    },
+
+    fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    },
+
+    randomBytes(length) {
+        return webCrypto.getRandomValues(new Uint8Array(length));
+    },
+
+    isEncrypted(value) {
+        return typeof value === 'string'
+            && (value.startsWith(Crypto.FORMAT + '.') || Crypto.isLegacy(value));
+    },
+
+    isLegacy(value) {
+        return typeof value === 'string' && value.startsWith(Crypto.LEGACY_FORMAT + '.');
+    },
+
+    async deriveKey(passphrase, salt, iterations = Crypto.ITERATIONS) {
+        if (!webCrypto) {
+            throw new Error('Web Crypto API is not available in this environment');
+        }
+        const material = await webCrypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return webCrypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    importKey(raw) {
+        return webCrypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+    },
+
+    async encrypt(text, key) {
+        const iv = Crypto.randomBytes(12);
+        const ciphertext = await webCrypto.subtle.encrypt(
+            { name: 'AES-GCM', iv }, key, new TextEncoder().encode(text)
+        );
+        return [
+            Crypto.FORMAT,
+            Crypto.toBase64(iv),
+            Crypto.toBase64(new Uint8Array(ciphertext))
+        ].join('.');
+    },
+
+    parse(payload) {
+        const parts = typeof payload === 'string' ? payload.split('.') : [];
+        if (parts.length === 3 && parts[0] === Crypto.FORMAT) {
+            return { iv: Crypto.fromBase64(parts[1]), data: Crypto.fromBase64(parts[2]) };
+        }
+        if (parts.length === 4 && parts[0] === Crypto.LEGACY_FORMAT) {
+            return {
+                salt: Crypto.fromBase64(parts[1]),
+                iv: Crypto.fromBase64(parts[2]),
+                data: Crypto.fromBase64(parts[3])
+            };
+        }
+        throw new Error('Decryption failed: not an encrypted value');
+    },
+
+    async decrypt(payload, key) {
+        const { iv, data } = Crypto.parse(payload);
+
+        let plaintext;
+        try {
+            plaintext = await webCrypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+        } catch (e) {
+            // GCM authentication covers both tampering and a wrong key
+            throw new Error('Decryption failed: value was tampered with or the key is wrong');
+        }
+        return new TextDecoder().decode(plaintext);
+    },
+
+    // Values written before keyrings existed carry their own PBKDF2 salt
+    async decryptLegacy(payload, passphrase) {
+        const { salt } = Crypto.parse(payload);
+        return Crypto.decrypt(payload, await Crypto.deriveKey(passphrase, salt));
+    }
+};
+
+// ============================================
+// KEYRING
+// ============================================
+//
+// Named AES-GCM data keys. Each key is stored wrapped (encrypted) by
+// the master key, so a persisted keyring is useless without the master
+// passphrase. Unwrapped keys only exist in memory while unlocked.
+
+const KEYRING_CHECK = 'tiny-kv-keyring';
+
+class Keyring {
+    constructor() {
+        this.salt = null;
+        this.check = null;
+        this.activeId = null;
+        this.wrapped = new Map();
+        this.masterKey = null;
+        this.keys = new Map();
+    }
+
+    get initialized() {
+        return this.salt !== null;
+    }
+
+    get locked() {
+        return this.masterKey === null;
+    }
+
+    ids() {
+        return Array.from(this.wrapped.keys());
+    }
+
+    has(id) {
+        return this.wrapped.has(id);
+    }
+
+    /**
+     * Unlocks with the master passphrase, creating the keyring on first use.
+     * Rejects if the passphrase doesn't match the one the keyring was made with.
+     */
+    async unlock(passphrase) {
+        if (!passphrase) {
+            throw new Error('Passphrase must not be empty');
+        }
+
+        if (!this.initialized) {
+            const salt = Crypto.randomBytes(16);
+            this.masterKey = await Crypto.deriveKey(passphrase, salt);
+            this.salt = Crypto.toBase64(salt);
+            this.check = await Crypto.encrypt(KEYRING_CHECK, this.masterKey);
+            return;
+        }
+
+        const masterKey = await Crypto.deriveKey(passphrase, Crypto.fromBase64(this.salt));
+        try {
+            await Crypto.decrypt(this.check, masterKey);
+        } catch (e) {
+            throw new Error('Wrong master passphrase');
+        }
+
+        const keys = new Map();
+        for (const [id, wrapped] of this.wrapped) {
+            const raw = Crypto.fromBase64(await Crypto.decrypt(wrapped, masterKey));
+            keys.set(id, await Crypto.importKey(raw));
+        }
+        this.masterKey = masterKey;
+        this.keys = keys;
+    }
+
+    lock() {
+        this.masterKey = null;
+        this.keys = new Map();
+    }
+
+    assertUnlocked() {
+        if (this.locked) {
+            throw new Error('Store is locked; call unlock() first');
+        }
+    }
+
+    async createKey(id) {
+        this.assertUnlocked();
+        if (this.wrapped.has(id)) {
+            throw new Error(`Key '${id}' already exists`);
+        }
+
+        const raw = Crypto.randomBytes(32);
+        this.wrapped.set(id, await Crypto.encrypt(Crypto.toBase64(raw), this.masterKey));
+        this.keys.set(id, await Crypto.importKey(raw));
+        if (!this.activeId) {
+            this.activeId = id;
+        }
+    }
+
+    removeKey(id) {
+        this.wrapped.delete(id);
+        this.keys.delete(id);
+        if (this.activeId === id) {
+            this.activeId = null;
+        }
+    }
+
+    key(id) {
+        this.assertUnlocked();
+        if (!this.keys.has(id)) {
+            throw new Error(`Unknown encryption key '${id}'`);
+        }
+        return this.keys.get(id);
+    }
+
+    toJSON() {
+        return {
+            salt: this.salt,
+            check: this.check,
+            activeId: this.activeId,
+            keys: Object.fromEntries(this.wrapped)
+        };
+    }
+
+    // Restoring a persisted keyring leaves it locked
+    restore(data) {
+        this.salt = data.salt;
+        this.check = data.check;
+        this.activeId = data.activeId;
+        this.wrapped = new Map(Object.entries(data.keys || {}));
+        this.lock();
+    }
+}
+
+// ============================================
+// COMPRESSION MODULE
+// ============================================
+// Codecs turn a string into a smaller string and back. Sync codecs return
+// strings; async codecs (CompressionStream) return Promises. Entries record
+// the codec id they were written with.
+
+// LZW over UTF-8 bytes. Codes grow from 9 to 16 bits as the dictionary fills
+// and are packed 15 bits per char, offset past the control characters, so the
+// output is plain UTF-16 that survives JSON and localStorage.
+const LZ_END = 256;
+const LZ_MAX_CODES = 1 << 16;
+const LZ_CHAR_BITS = 15;
+const LZ_CHAR_OFFSET = 32;
+
+const lzCodeWidth = (index) => Math.min(LZ_END + index, LZ_MAX_CODES - 1).toString(2).length;
+
+function lzCompress(text) {
+    const bytes = new TextEncoder().encode(text);
+    const dictionary = new Map();
+    const chars = [];
+    let buffer = 0;
+    let bufferBits = 0;
+    let emitted = 0;
+    let nextCode = LZ_END + 1;
+
+    const emit = (code) => {
+        const width = lzCodeWidth(emitted++);
+        for (let bit = width - 1; bit >= 0; bit--) {
+            buffer = (buffer << 1) | ((code >> bit) & 1);
+            if (++bufferBits === LZ_CHAR_BITS) {
+                chars.push(String.fromCharCode(buffer + LZ_CHAR_OFFSET));
+                buffer = 0;
+                bufferBits = 0;
+            }
+        }
+    };
+
+    let prefix = bytes.length > 0 ? bytes[0] : -1;
+    for (let i = 1; i < bytes.length; i++) {
+        const pair = prefix * 256 + bytes[i];
+        const code = dictionary.get(pair);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emit(prefix);
+        if (nextCode < LZ_MAX_CODES) {
+            dictionary.set(pair, nextCode++);
+        }
+        prefix = bytes[i];
+    }
+    if (prefix >= 0) emit(prefix);
+    emit(LZ_END);
+
+    if (bufferBits > 0) {
+        chars.push(String.fromCharCode((buffer << (LZ_CHAR_BITS - bufferBits)) + LZ_CHAR_OFFSET));
+    }
+    return chars.join('');
+}
+
+function lzDecompress(packed) {
+    let charIndex = 0;
+    let buffer = 0;
+    let bufferBits = 0;
+    let read = 0;
+
+    const next = () => {
+        const width = lzCodeWidth(read++);
+        let code = 0;
+        for (let i = 0; i < width; i++) {
+            if (bufferBits === 0) {
+                if (charIndex >= packed.length) {
+                    throw new Error('Decompression failed: data is truncated');
+                }
+                buffer = packed.charCodeAt(charIndex++) - LZ_CHAR_OFFSET;
+                bufferBits = LZ_CHAR_BITS;
+            }
+            code = (code << 1) | ((buffer >> --bufferBits) & 1);
+        }
+        return code;
+    };
+
+    // Each code is its prefix code plus one byte
+    const prefixes = new Int32Array(LZ_MAX_CODES).fill(-1);
+    const suffixes = new Uint8Array(LZ_MAX_CODES);
+    const firsts = new Uint8Array(LZ_MAX_CODES);
+    const lengths = new Uint32Array(LZ_MAX_CODES);
+    for (let i = 0; i < 256; i++) {
+        suffixes[i] = i;
+        firsts[i] = i;
+        lengths[i] = 1;
+    }
+    let size = LZ_END + 1;
+
+    const bytes = [];
+    const write = (code) => {
+        const offset = bytes.length;
+        for (let i = lengths[code] - 1; i >= 0; i--) {
+            bytes[offset + i] = suffixes[code];
+            code = prefixes[code];
+        }
+    };
+
+    let previous = next();
+    if (previous === LZ_END) return '';
+    if (previous > 255) throw new Error('Decompression failed: data is corrupt');
+    write(previous);
+
+    let code;
+    while ((code = next()) !== LZ_END) {
+        const known = code < size && code !== LZ_END;
+        if (!known && code !== size) {
+            throw new Error('Decompression failed: data is corrupt');
+        }
+        if (size < LZ_MAX_CODES) {
+            prefixes[size] = previous;
+            suffixes[size] = known ? firsts[code] : firsts[previous];
+            firsts[size] = firsts[previous];
+            lengths[size] = lengths[previous] + 1;
+            size++;
+        }
+        write(code);
+        previous = code;
+    }
+    return new TextDecoder().decode(new Uint8Array(bytes));
+}
+
+// deflate / gzip through the Streams API; bytes are stored as Base64
+function streamCodec(format) {
+    const pipe = (input, transform) => new Response(new Blob([input]).stream().pipeThrough(transform));
+    return {
+        async: true,
+        available: () => typeof CompressionStream === 'function' && typeof DecompressionStream === 'function',
+        compress: (text) => pipe(text, new CompressionStream(format)).arrayBuffer()
+            .then(buffer => Crypto.toBase64(new Uint8Array(buffer))),
+        decompress: (data) => pipe(Crypto.fromBase64(data), new DecompressionStream(format)).text()
+    };
+}
+
+const Compression = {
+    DEFAULT_CODEC: 'lz',
+
+    codecs: {
+        lz: { async: false, available: () => true, compress: lzCompress, decompress: lzDecompress },
+        deflate: streamCodec('deflate'),
+        gzip: streamCodec('gzip'),
+        // 2.0 run-length format; read-only, it could not round-trip digits
+        rle: {
+            async: false,
+            available: () => true,
+            decompress(compressed) {
+                return compressed.replace(/(.)\d+/g, (match, char) => char.repeat(parseInt(match.slice(1))));
+            }
+        }
+    },
+
+    register(id, codec) {
+        this.codecs[id] = { async: false, available: () => true, ...codec };
+    },
+
+    codec(id) {
+        const codec = this.codecs[id];
+        if (!codec) {
+            throw new Error(`Unknown compression codec '${id}'`);
+        }
+        return codec;
+    },
+
+    // `compress: true` picks the default codec
+    resolve(option) {
+        const id = option === true ? this.DEFAULT_CODEC : option;
+        const codec = this.codec(id);
+        if (!codec.compress) {
+            throw new Error(`Compression codec '${id}' can only decompress`);
+        }
+        if (!codec.available()) {
+            throw new Error(`Compression codec '${id}' is not available in this environment`);
+        }
+        return id;
+    },
+
+    /**
+     * Compresses with the given codec. Resolves to null when the result
+     * isn't smaller than the input, so callers store the value as-is.
+     */
+    compress(text, id = this.DEFAULT_CODEC) {
+        return when(this.codec(id).compress(text), packed => packed.length < text.length ? packed : null);
+    },
+
+    decompress(packed, id = this.DEFAULT_CODEC) {
+        return this.codec(id).decompress(packed);
+    }
+};
+
+// ============================================
+// VALUE TYPES
+// ============================================
+// Entries store their value as text plus a `type`. Non-string values are
+// kept as JSON; Dates and Uint8Arrays (at any depth) become tagged objects
+// such as { "$type": "date", "value": "2026-01-01T00:00:00.000Z" }.
+const ValueTypes = {
+    TYPES: ['string', 'number', 'boolean', 'null', 'object', 'array', 'date', 'binary'],
+
+    of(value) {
+        if (value === null) return 'null';
+        if (value instanceof Date) return 'date';
+        if (value instanceof Uint8Array) return 'binary';
+        if (Array.isArray(value)) return 'array';
+        switch (typeof value) {
+            case 'string':
+            case 'boolean':
+                return typeof value;
+            case 'number':
+                if (Number.isFinite(value)) return 'number';
+                break;
+            case 'object':
+                return 'object';
+        }
+        throw new Error(`Unsupported value type: ${typeof value === 'number' ? value : typeof value}`);
+    },
+
+    // Plain JSON tree with Dates and binary tagged; follows JSON.stringify otherwise
+    toJSON(value) {
+        if (value instanceof Date) {
+            return { $type: 'date', value: value.toISOString() };
+        }
+        if (value instanceof Uint8Array) {
+            return { $type: 'binary', value: Crypto.toBase64(value) };
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => {
+                const json = this.toJSON(item);
+                return json === undefined ? null : json;
+            });
+        }
+        if (value && typeof value === 'object') {
+            if (typeof value.toJSON === 'function') {
+                return this.toJSON(value.toJSON());
+            }
+            const tree = {};
+            Object.keys(value).forEach(key => {
+                const json = this.toJSON(value[key]);
+                if (json !== undefined) tree[key] = json;
+            });
+            return tree;
+        }
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+            return null;
+        }
+        if (typeof value === 'function' || typeof value === 'symbol') {
+            return undefined;
+        }
+        return value;
+    },
+
+    fromJSON(tree) {
+        if (Array.isArray(tree)) {
+            return tree.map(item => this.fromJSON(item));
+        }
+        if (tree && typeof tree === 'object') {
+            if (tree.$type === 'date' && typeof tree.value === 'string') {
+                return new Date(tree.value);
+            }
+            if (tree.$type === 'binary' && typeof tree.value === 'string') {
+                return Crypto.fromBase64(tree.value);
+            }
+            const value = {};
+            Object.keys(tree).forEach(key => {
+                value[key] = this.fromJSON(tree[key]);
+            });
+            return value;
+        }
+        return tree;
+    },
+
+    // Text stored in the entry; strings are kept verbatim
+    encode(value, type = this.of(value)) {
+        return type === 'string' ? value : JSON.stringify(this.toJSON(value));
+    },
+
+    decode(text, type) {
+        if (!type || type === 'string') return text;
+        if (!this.TYPES.includes(type) && !Collections.is(type)) {
+            throw new Error(`Unknown value type '${type}'`);
+        }
+        return this.fromJSON(JSON.parse(text));
+    }
+};
+
+// Splits CSV text into rows, honouring quoted fields with commas,
+// doubled quotes and line breaks
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+const csvField = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+// TXT is one `key = value` line per entry: backslashes and line breaks are
+// escaped, and so is '=' in keys
+const TXT_ESCAPES = { '\\': '\\\\', '\n': '\\n', '\r': '\\r', '=': '\\=' };
+const txtField = (value, special) => String(value).replace(special, char => TXT_ESCAPES[char]);
+
+// Reads a line written with txtField(); null if it has no separator
+function parseTxtLine(line) {
+    const unescaped = { n: '\n', r: '\r', '\\': '\\', '=': '=' };
+    const parts = [''];
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '\\' && unescaped[line[i + 1]] !== undefined) {
+            parts[parts.length - 1] += unescaped[line[++i]];
+        } else if (char === '=' && parts.length === 1) {
+            parts.push('');
+        } else {
+            parts[parts.length - 1] += char;
+        }
+    }
+    if (parts.length < 2) return null;
+    return { key: parts[0].trim(), value: parts[1].replace(/^ /, '') };
+}
+
+// ============================================
+// DATA TYPES
+// ============================================
+// Collection entries keep a live structure in `entry.value` and serialize
+// through toJSON(). Writes are logged as commands (op + args) rather than
+// whole entries, and replay runs the same command against the restored
+// structure, so commands must be deterministic given their args.
+
+class HashValue {
+    constructor(fields = []) {
+        // field -> value as a ValueTypes JSON tree
+        this.fields = new Map(fields);
+    }
+
+    static fromJSON(tree) {
+        return new HashValue(Object.entries(tree));
+    }
+
+    // Builds a hash from a plain object of field values
+    static from(object) {
+        if (!object || typeof object !== 'object' || Array.isArray(object)) {
+            throw new Error('Hash value must be an object of fields');
+        }
+        return HashValue.fromJSON(ValueTypes.toJSON(object));
+    }
+
+    get size() {
+        return this.fields.size;
+    }
+
+    set(fields) {
+        let added = 0;
+        Object.entries(fields).forEach(([field, value]) => {
+            if (!this.fields.has(field)) added++;
+            this.fields.set(field, value);
+        });
+        return added;
+    }
+
+    remove(fields) {
+        return fields.filter(field => this.fields.delete(field)).length;
+    }
+
+    incrBy(field, increment) {
+        const current = this.fields.has(field) ? this.fields.get(field) : 0;
+        if (!Number.isInteger(current)) {
+            throw new Error(`Hash field '${field}' is not an integer`);
+        }
+        const value = current + increment;
+        this.fields.set(field, value);
+        return value;
+    }
+
+    toJSON() {
+        const tree = {};
+        this.fields.forEach((value, field) => {
+            tree[field] = value;
+        });
+        return tree;
+    }
+
+    toValue() {
+        return ValueTypes.fromJSON(this.toJSON());
+    }
+}
+
+// Redis-style inclusive range; negative indexes count from the end.
+// Returns [from, to) clipped to the length.
+function rangeBounds(start, stop, length) {
+    const from = Math.max(start < 0 ? length + start : start, 0);
+    const to = Math.min(stop < 0 ? length + stop : stop, length - 1) + 1;
+    return [from, Math.max(to, from)];
+}
+
+class ListValue {
+    constructor(items = []) {
+        // values as ValueTypes JSON trees, head first
+        this.items = items;
+    }
+
+    static fromJSON(tree) {
+        return new ListValue(tree.slice());
+    }
+
+    static from(array) {
+        if (!Array.isArray(array)) {
+            throw new Error('List value must be an array');
+        }
+        return new ListValue(ValueTypes.toJSON(array));
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    // LPUSH a b c leaves c at the head, as in Redis
+    push(values, head) {
+        if (head) {
+            this.items.unshift(...values.slice().reverse());
+        } else {
+            this.items.push(...values);
+        }
+        return this.items.length;
+    }
+
+    pop(count, head) {
+        return head ? this.items.splice(0, count) : this.items.splice(-count, count).reverse();
+    }
+
+    range(start, stop) {
+        const [from, to] = rangeBounds(start, stop, this.items.length);
+        return this.items.slice(from, to);
+    }
+
+    // count > 0 removes from the head, < 0 from the tail, 0 removes all
+    remove(count, value) {
+        const match = JSON.stringify(value);
+        const limit = count === 0 ? Infinity : Math.abs(count);
+        const indexes = this.items.map((item, index) => index);
+        if (count < 0) indexes.reverse();
+
+        const removed = new Set();
+        for (const index of indexes) {
+            if (removed.size >= limit) break;
+            if (JSON.stringify(this.items[index]) === match) removed.add(index);
+        }
+        this.items = this.items.filter((item, index) => !removed.has(index));
+        return removed.size;
+    }
+
+    trim(start, stop) {
+        this.items = this.range(start, stop);
+    }
+
+    toJSON() {
+        return this.items;
+    }
+
+    toValue() {
+        return ValueTypes.fromJSON(this.items);
+    }
+}
+
+// Members are ValueTypes JSON trees, identified by their JSON text
+const memberId = (tree) => JSON.stringify(tree);
+
+class SetValue {
+    constructor(members = []) {
+        this.members = new Map(); // id -> member
+        this.add(members);
+    }
+
+    static fromJSON(tree) {
+        return new SetValue(tree);
+    }
+
+    static from(array) {
+        if (!Array.isArray(array)) {
+            throw new Error('Set value must be an array of members');
+        }
+        return new SetValue(ValueTypes.toJSON(array));
+    }
+
+    get size() {
+        return this.members.size;
+    }
+
+    has(member) {
+        return this.members.has(memberId(member));
+    }
+
+    add(members) {
+        let added = 0;
+        members.forEach(member => {
+            const id = memberId(member);
+            if (!this.members.has(id)) {
+                this.members.set(id, member);
+                added++;
+            }
+        });
+        return added;
+    }
+
+    remove(members) {
+        return members.filter(member => this.members.delete(memberId(member))).length;
+    }
+
+    toJSON() {
+        return Array.from(this.members.values());
+    }
+
+    toValue() {
+        return ValueTypes.fromJSON(this.toJSON());
+    }
+}
+
+const ZSET_BLOCK_SIZE = 512;
+
+/**
+ * Members ordered by (score, member id) in a list of sorted blocks, so
+ * inserts move at most one block and rank or score ranges are found by
+ * binary search instead of sorting.
+ */
+class SortedSetValue {
+    constructor(pairs = []) {
+        this.scores = new Map();  // id -> score
+        this.members = new Map(); // id -> member
+        this.blocks = [];         // sorted arrays of { score, id }
+        this.add(pairs);
+    }
+
+    // Stored as [member, score] pairs in score order
+    static fromJSON(tree) {
+        return new SortedSetValue(tree.map(([member, score]) => [score, member]));
+    }
+
+    static from(array) {
+        if (!Array.isArray(array)) {
+            throw new Error('Sorted set value must be an array of { member, score }');
+        }
+        return new SortedSetValue(array.map(item => {
+            const [member, score] = Array.isArray(item) ? item : [item.member, item.score];
+            if (!Number.isFinite(score)) {
+                throw new Error('Score must be a finite number');
+            }
+            return [score, ValueTypes.toJSON(member)];
+        }));
+    }
+
+    static compare(a, b) {
+        if (a.score !== b.score) return a.score - b.score;
+        return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    }
+
+    get size() {
+        return this.scores.size;
+    }
+
+    // [block, index] of the first item not before `item`
+    locate(item) {
+        let low = 0;
+        let high = this.blocks.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            const block = this.blocks[middle];
+            if (SortedSetValue.compare(block[block.length - 1], item) < 0) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        if (low === this.blocks.length) {
+            return [low, 0];
+        }
+
+        const block = this.blocks[low];
+        let start = 0;
+        let end = block.length;
+        while (start < end) {
+            const middle = (start + end) >>> 1;
+            if (SortedSetValue.compare(block[middle], item) < 0) {
+                start = middle + 1;
+            } else {
+                end = middle;
+            }
+        }
+        return [low, start];
+    }
+
+    insert(item) {
+        let [blockIndex, index] = this.locate(item);
+        if (blockIndex === this.blocks.length) {
+            if (blockIndex === 0) {
+                this.blocks.push([]);
+            } else {
+                blockIndex--;
+            }
+            index = this.blocks[blockIndex].length;
+        }
+        const block = this.blocks[blockIndex];
+        block.splice(index, 0, item);
+        if (block.length > ZSET_BLOCK_SIZE * 2) {
+            this.blocks.splice(blockIndex + 1, 0, block.splice(ZSET_BLOCK_SIZE));
+        }
+    }
+
+    unlink(id) {
+        const [blockIndex, index] = this.locate({ score: this.scores.get(id), id });
+        const block = this.blocks[blockIndex];
+        block.splice(index, 1);
+        if (block.length === 0) {
+            this.blocks.splice(blockIndex, 1);
+        }
+    }
+
+    // Position of the first item not before `item`
+    position([blockIndex, index]) {
+        let rank = index;
+        for (let i = 0; i < blockIndex; i++) rank += this.blocks[i].length;
+        return rank;
+    }
+
+    // Items from a [block, index] position onwards, while `keep` holds
+    slice([blockIndex, index], limit, keep = () => true) {
+        const items = [];
+        for (; blockIndex < this.blocks.length && items.length < limit; blockIndex++, index = 0) {
+            const block = this.blocks[blockIndex];
+            for (; index < block.length && items.length < limit; index++) {
+                if (!keep(block[index])) return items;
+                items.push(block[index]);
+            }
+        }
+        return items;
+    }
+
+    score(member) {
+        const score = this.scores.get(memberId(member));
+        return score === undefined ? null : score;
+    }
+
+    rank(member) {
+        const id = memberId(member);
+        return this.scores.has(id) ? this.position(this.locate({ score: this.scores.get(id), id })) : null;
+    }
+
+    // Adds or re-scores [score, member] pairs; returns how many were new
+    add(pairs) {
+        let added = 0;
+        pairs.forEach(([score, member]) => {
+            const id = memberId(member);
+            if (this.scores.has(id)) {
+                this.unlink(id);
+            } else {
+                added++;
+            }
+            this.insert({ score, id });
+            this.scores.set(id, score);
+            this.members.set(id, member);
+        });
+        return added;
+    }
+
+    incrBy(member, increment) {
+        const current = this.score(member) || 0;
+        this.add([[current + increment, member]]);
+        return current + increment;
+    }
+
+    remove(members) {
+        return members.filter(member => {
+            const id = memberId(member);
+            if (!this.scores.has(id)) return false;
+            this.unlink(id);
+            this.scores.delete(id);
+            this.members.delete(id);
+            return true;
+        }).length;
+    }
+
+    range(start, stop) {
+        const [from, to] = rangeBounds(start, stop, this.size);
+        let blockIndex = 0;
+        let skipped = 0;
+        while (blockIndex < this.blocks.length && skipped + this.blocks[blockIndex].length <= from) {
+            skipped += this.blocks[blockIndex++].length;
+        }
+        return this.slice([blockIndex, from - skipped], to - from);
+    }
+
+    // Items with min <= score <= max (or < when exclusive)
+    rangeByScore(min, max, minExclusive = false, maxExclusive = false) {
+        const items = this.slice(this.locate({ score: min, id: '' }), Infinity,
+            item => item.score < max || (!maxExclusive && item.score === max));
+        return minExclusive ? items.filter(item => item.score !== min) : items;
+    }
+
+    toJSON() {
+        return this.range(0, -1).map(({ score, id }) => [this.members.get(id), score]);
+    }
+
+    toValue() {
+        return this.range(0, -1).map(({ score, id }) => ({ member: ValueTypes.fromJSON(this.members.get(id)), score }));
+    }
+}
+
+const Collections = {
+    types: {
+        hash: HashValue,
+        list: ListValue,
+        set: SetValue,
+        zset: SortedSetValue
+    },
+
+    is(type) {
+        return Object.prototype.hasOwnProperty.call(this.types, type);
+    },
+
+    // Entry as loaded from storage or the WAL, with its structure rebuilt
+    revive(entry) {
+        return this.is(entry.type)
+            ? { ...entry, value: this.types[entry.type].fromJSON(entry.value) }
+            : entry;
+    },
+
+    // op -> how to apply a logged command to the key's structure;
+    // `grows` marks commands that can make it bigger
+    commands: {
+        HSET: { type: 'hash', grows: true, run: (hash, args) => hash.set(args.fields) },
+        HDEL: { type: 'hash', run: (hash, args) => hash.remove(args.fields) },
+        HINCRBY: { type: 'hash', grows: true, run: (hash, args) => hash.incrBy(args.field, args.increment) },
+        LPUSH: { type: 'list', grows: true, run: (list, args) => list.push(args.values, true) },
+        RPUSH: { type: 'list', grows: true, run: (list, args) => list.push(args.values, false) },
+        LPOP: { type: 'list', run: (list, args) => list.pop(args.count, true) },
+        RPOP: { type: 'list', run: (list, args) => list.pop(args.count, false) },
+        LREM: { type: 'list', run: (list, args) => list.remove(args.count, args.value) },
+        LTRIM: { type: 'list', run: (list, args) => list.trim(args.start, args.stop) },
+        SADD: { type: 'set', grows: true, run: (set, args) => set.add(args.members) },
+        SREM: { type: 'set', run: (set, args) => set.remove(args.members) },
+        ZADD: { type: 'zset', grows: true, run: (zset, args) => zset.add(args.pairs) },
+        ZINCRBY: { type: 'zset', grows: true, run: (zset, args) => zset.incrBy(args.member, args.increment) },
+        ZREM: { type: 'zset', run: (zset, args) => zset.remove(args.members) }
+    }
+};
+
+const WRONGTYPE = 'WRONGTYPE Operation against a key holding the wrong kind of value';
+
+// ============================================
+// STORAGE ADAPTERS
+// ============================================
+//
+// Every adapter implements the same contract:
+//
+//   load(options)          -> { entries: [[key, entry], ...], meta } (or a Promise of it);
+//                             { compact: false } asks it not to rewrite its storage
+//   writeEntry(key, entry) -> persist one entry
+//   deleteEntry(key)       -> remove one entry
+//   clear()                -> remove every entry
+//   writeMeta(meta)        -> persist checkpoint metadata, returned by the next load()
+//   flush()                -> resolve once pending writes are durable
+//   close()                -> release handles
+//   namespace(name)        -> an adapter for a separate database (see db())
+//
+// Adapters that also implement the log methods make the WAL durable:
+//
+//   appendLog(line)        -> append one encoded WAL record
+//   readLog()              -> every stored line, oldest first
+//   truncateLog(count)     -> keep only the first `count` lines
+//   compactLog(count)      -> drop the first `count` lines
+//
+// Synchronous adapters may return plain values; asynchronous ones
+// return Promises. TinyKVStorePro handles both.
+
+const cloneEntry = (entry) => JSON.parse(JSON.stringify(entry));
+
+// Calls fn with the value, waiting for it first if it is a Promise
+const when = (value, fn) => (value && typeof value.then === 'function')
+    ? value.then(fn)
+    : fn(value);
+
+// Runs tasks in order, staying synchronous until one of them returns a Promise
+const sequence = (tasks) => tasks.reduce((previous, task) => when(previous, task), undefined);
+
+class MemoryAdapter {
+    constructor() {
+        this.entries = new Map();
+        this.meta = {};
+        this.log = [];
+        this.namespaces = new Map();
+    }
+
+    // Kept, so a store reopened on this adapter finds its databases again
+    namespace(name) {
+        if (!this.namespaces.has(name)) {
+            this.namespaces.set(name, new MemoryAdapter());
+        }
+        return this.namespaces.get(name);
+    }
+
+    load() {
+        return { entries: Array.from(this.entries.entries()), meta: { ...this.meta } };
+    }
+
+    writeEntry(key, entry) {
+        this.entries.set(key, cloneEntry(entry));
+    }
+
+    deleteEntry(key) {
+        this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    writeMeta(meta) {
+        this.meta = { ...meta };
+    }
+
+    appendLog(line) {
+        this.log.push(line);
+    }
+
+    readLog() {
+        return this.log.slice();
+    }
+
+    truncateLog(count) {
+        this.log.length = Math.min(this.log.length, count);
+    }
+
+    compactLog(count) {
+        this.log.splice(0, count);
+    }
+
+    flush() {}
+
+    close() {}
+}
+
+class LocalStorageAdapter {
+    /**
+     * @param {Storage} storage - window.localStorage or any getItem/setItem/removeItem object
+     * @param {string} [prefix='kvstore-pro'] - Entries are stored under `${prefix}:${key}`
+     */
+    constructor(storage, prefix = 'kvstore-pro') {
+        if (!storage) {
+            throw new Error('LocalStorageAdapter requires a Storage object');
+        }
+        this.storage = storage;
+        this.prefix = prefix;
+        this.logStart = null;
+        this.logLength = null;
+    }
+
+    itemKey(key) {
+        return `${this.prefix}:${key}`;
+    }
+
+    // '#' keeps log and meta items out of the `${prefix}:` entry namespace
+    logKey(index) {
+        return `${this.prefix}#wal:${index}`;
+    }
+
+    get metaKey() {
+        return `${this.prefix}#meta`;
+    }
+
+    // '@' keeps a database's items out of this one's `${prefix}:` namespace
+    namespace(name) {
+        return new LocalStorageAdapter(this.storage, `${this.prefix}@${name}`);
+    }
+
+    // Log items keep their index when older ones are compacted away
+    get logStartKey() {
+        return `${this.prefix}#wal-start`;
+    }
+
+    ownKeys() {
+        const keys = [];
+        const marker = this.prefix + ':';
+        for (let i = 0; i < this.storage.length; i++) {
+            const itemKey = this.storage.key(i);
+            if (itemKey && itemKey.startsWith(marker)) {
+                keys.push(itemKey);
+            }
+        }
+        return keys;
+    }
+
+    load() {
+        this.migrateLegacy();
+
+        const marker = this.prefix + ':';
+        const entries = this.ownKeys().map(itemKey => [
+            itemKey.slice(marker.length),
+            JSON.parse(this.storage.getItem(itemKey))
+        ]);
+        const meta = JSON.parse(this.storage.getItem(this.metaKey) || '{}');
+        return { entries, meta };
+    }
+
+    // Versions up to 2.0.0 kept the whole store in a single item
+    migrateLegacy() {
+        const legacy = this.storage.getItem(this.prefix);
+        if (!legacy) return;
+
+        const parsed = JSON.parse(legacy);
+        (parsed.store || []).forEach(([key, entry]) => this.writeEntry(key, entry));
+        this.storage.removeItem(this.prefix);
+    }
+
+    writeEntry(key, entry) {
+        this.storage.setItem(this.itemKey(key), JSON.stringify(entry));
+    }
+
+    deleteEntry(key) {
+        this.storage.removeItem(this.itemKey(key));
+    }
+
+    clear() {
+        this.ownKeys().forEach(itemKey => this.storage.removeItem(itemKey));
+    }
+
+    writeMeta(meta) {
+        this.storage.setItem(this.metaKey, JSON.stringify(meta));
+    }
+
+    appendLog(line) {
+        if (this.logLength === null) {
+            this.readLog();
+        }
+        this.storage.setItem(this.logKey(this.logStart + this.logLength), line);
+        this.logLength++;
+    }
+
+    readLog() {
+        this.logStart = parseInt(this.storage.getItem(this.logStartKey), 10) || 0;
+
+        const lines = [];
+        let line;
+        while ((line = this.storage.getItem(this.logKey(this.logStart + lines.length))) !== null) {
+            lines.push(line);
+        }
+        this.logLength = lines.length;
+        return lines;
+    }
+
+    truncateLog(count) {
+        const length = this.readLog().length;
+        for (let i = count; i < length; i++) {
+            this.storage.removeItem(this.logKey(this.logStart + i));
+        }
+        this.logLength = Math.min(length, count);
+    }
+
+    compactLog(count) {
+        const length = this.readLog().length;
+        const dropped = Math.min(length, count);
+        for (let i = 0; i < dropped; i++) {
+            this.storage.removeItem(this.logKey(this.logStart + i));
+        }
+        this.logStart += dropped;
+        this.logLength = length - dropped;
+        this.storage.setItem(this.logStartKey, String(this.logStart));
+    }
+
+    flush() {}
+
+    close() {}
+}
+
+class IndexedDBAdapter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.name='kvstore-pro'] - Database name
+     * @param {string} [options.storeName='entries'] - Object store name
+     * @param {string} [options.logStoreName='wal'] - Object store holding the write-ahead log
+     * @param {string} [options.metaStoreName='meta'] - Object store holding checkpoint metadata
+     * @param {IDBFactory} [options.indexedDB] - Defaults to the global indexedDB
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'kvstore-pro';
+        this.storeName = options.storeName || 'entries';
+        this.logStoreName = options.logStoreName || 'wal';
+        this.metaStoreName = options.metaStoreName || 'meta';
+        this.factory = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        if (!this.factory) {
+            throw new Error('IndexedDB is not available in this environment');
+        }
+        this.db = null;
+        this.pending = Promise.resolve();
+    }
+
+    // A database of its own, named after this one
+    namespace(name) {
+        return new IndexedDBAdapter({
+            name: `${this.name}@${name}`,
+            storeName: this.storeName,
+            logStoreName: this.logStoreName,
+            metaStoreName: this.metaStoreName,
+            indexedDB: this.factory
+        });
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = this.factory.open(this.name, 3);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName);
+                }
+                if (!db.objectStoreNames.contains(this.logStoreName)) {
+                    db.createObjectStore(this.logStoreName, { autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains(this.metaStoreName)) {
+                    db.createObjectStore(this.metaStoreName);
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Writes are chained so they reach the database in call order
+    enqueue(mode, work, storeName = this.storeName) {
+        this.pending = this.pending
+            .then(() => this.open())
+            .then(db => new Promise((resolve, reject) => {
+                const tx = db.transaction(storeName, mode);
+                const result = work(tx.objectStore(storeName));
+                tx.oncomplete = () => resolve(result);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            }));
+        return this.pending;
+    }
+
+    load() {
+        const entries = [];
+        let meta = {};
+        return this.enqueue('readonly', (objectStore) => {
+            const request = objectStore.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    entries.push([cursor.key, cursor.value]);
+                    cursor.continue();
+                }
+            };
+        }).then(() => this.enqueue('readonly', (objectStore) => {
+            const request = objectStore.get('checkpoint');
+            request.onsuccess = () => {
+                meta = request.result || {};
+            };
+        }, this.metaStoreName)).then(() => ({ entries, meta }));
+    }
+
+    writeEntry(key, entry) {
+        return this.enqueue('readwrite', objectStore => objectStore.put(cloneEntry(entry), key));
+    }
+
+    deleteEntry(key) {
+        return this.enqueue('readwrite', objectStore => objectStore.delete(key));
+    }
+
+    clear() {
+        return this.enqueue('readwrite', objectStore => objectStore.clear());
+    }
+
+    writeMeta(meta) {
+        return this.enqueue('readwrite', objectStore => objectStore.put({ ...meta }, 'checkpoint'), this.metaStoreName);
+    }
+
+    appendLog(line) {
+        return this.enqueue('readwrite', objectStore => objectStore.add(line), this.logStoreName);
+    }
+
+    readLog() {
+        const lines = [];
+        return this.enqueue('readonly', (objectStore) => {
+            const request = objectStore.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    lines.push(cursor.value);
+                    cursor.continue();
+                }
+            };
+        }, this.logStoreName).then(() => lines);
+    }
+
+    truncateLog(count) {
+        let index = 0;
+        return this.enqueue('readwrite', (objectStore) => {
+            const request = objectStore.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    if (index++ >= count) {
+                        cursor.delete();
+                    }
+                    cursor.continue();
+                }
+            };
+        }, this.logStoreName);
+    }
+
+    compactLog(count) {
+        let index = 0;
+        return this.enqueue('readwrite', (objectStore) => {
+            const request = objectStore.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor && index++ < count) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+        }, this.logStoreName);
+    }
+
+    flush() {
+        return this.pending;
+    }
+
+    close() {
+        return this.pending.then(() => {
+            if (this.db) {
+                this.db.close();
+                this.db = null;
+            }
+        });
+    }
+}
+
+class FileAdapter {
+    /**
+     * Append-only JSON-lines file for Node. Each line is one
+     * {"op":"put"|"delete"|"clear"|"meta", ...} record; load() folds them.
+     *
+     * @param {Object} options
+     * @param {string} options.path - File to append to (created if missing)
+     * @param {string} [options.walPath] - Write-ahead log file (defaults to `${path}.wal`)
+     * @param {number} [options.compactRatio=2] - Rewrite on load when lines exceed live entries by this factor
+     */
+    constructor(options = {}) {
+        if (!options.path) {
+            throw new Error('FileAdapter requires a path');
+        }
+        this.fs = require('fs');
+        this.path = options.path;
+        this.walPath = options.walPath || options.path + '.wal';
+        this.compactRatio = options.compactRatio || 2;
+        this.fd = null;
+        this.walFd = null;
+    }
+
+    // Files next to this one: `${path}@${name}` and its own log
+    namespace(name) {
+        return new FileAdapter({ path: `${this.path}@${name}`, compactRatio: this.compactRatio });
+    }
+
+    // `compact: false` leaves the file as it is, for read-only callers like stateAt()
+    load({ compact = true } = {}) {
+        const entries = new Map();
+        let meta = {};
+        let lines = [];
+
+        if (this.fs.existsSync(this.path)) {
+            lines = this.fs.readFileSync(this.path, 'utf8').split('\n').filter(Boolean);
+        }
+
+        lines.forEach(line => {
+            const record = JSON.parse(line);
+            switch (record.op) {
+                case 'put':
+                    entries.set(record.key, record.entry);
+                    break;
+                case 'delete':
+                    entries.delete(record.key);
+                    break;
+                case 'clear':
+                    entries.clear();
+                    break;
+                case 'meta':
+                    meta = record.meta;
+                    break;
+            }
+        });
+
+        if (compact && lines.length > Math.max(entries.size, 1) * this.compactRatio) {
+            this.rewrite(entries, meta);
+        }
+
+        return { entries: Array.from(entries.entries()), meta };
+    }
+
+    rewrite(entries, meta) {
+        this.close();
+        const tmpPath = this.path + '.tmp';
+        const lines = Array.from(entries.entries())
+            .map(([key, entry]) => JSON.stringify({ op: 'put', key, entry }) + '\n');
+        lines.push(JSON.stringify({ op: 'meta', meta }) + '\n');
+        this.fs.writeFileSync(tmpPath, lines.join(''));
+        this.fs.renameSync(tmpPath, this.path);
+    }
+
+    append(record) {
+        if (this.fd === null) {
+            this.fd = this.fs.openSync(this.path, 'a');
+        }
+        this.fs.writeSync(this.fd, JSON.stringify(record) + '\n');
+    }
+
+    writeEntry(key, entry) {
+        this.append({ op: 'put', key, entry });
+    }
+
+    deleteEntry(key) {
+        this.append({ op: 'delete', key });
+    }
+
+    clear() {
+        this.append({ op: 'clear' });
+    }
+
+    writeMeta(meta) {
+        this.append({ op: 'meta', meta });
+    }
+
+    appendLog(line) {
+        if (this.walFd === null) {
+            this.walFd = this.fs.openSync(this.walPath, 'a');
+        }
+        this.fs.writeSync(this.walFd, line + '\n');
+    }
+
+    readLog() {
+        if (!this.fs.existsSync(this.walPath)) return [];
+
+        const lines = this.fs.readFileSync(this.walPath, 'utf8').split('\n');
+        // A clean log ends with a newline; anything after the last one is a torn write
+        if (lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        return lines;
+    }
+
+    truncateLog(count) {
+        this.rewriteLog(this.readLog().slice(0, count));
+    }
+
+    compactLog(count) {
+        this.rewriteLog(this.readLog().slice(count));
+    }
+
+    rewriteLog(lines) {
+        this.closeLog();
+        const tmpPath = this.walPath + '.tmp';
+        this.fs.writeFileSync(tmpPath, lines.map(line => line + '\n').join(''));
+        this.fs.renameSync(tmpPath, this.walPath);
+    }
+
+    flush() {
+        if (this.walFd !== null) {
+            this.fs.fsyncSync(this.walFd);
+        }
+        if (this.fd !== null) {
+            this.fs.fsyncSync(this.fd);
+        }
+    }
+
+    closeLog() {
+        if (this.walFd !== null) {
+            this.fs.closeSync(this.walFd);
+            this.walFd = null;
+        }
+    }
+
+    close() {
+        this.closeLog();
+        if (this.fd !== null) {
+            this.fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+// ============================================
+// CLOCKS
+// ============================================
+//
+// Everything time-dependent in the store (TTLs, WAL timestamps, stats,
+// monitoring and checkpoint timers) goes through a clock:
+//   now()                      wall time in ms, used for timestamps and expiry
+//   monotonic()                ms for measuring durations
+//   setTimer(callback, delay)  one-shot timer; returns a handle
+//   clearTimer(handle)
+
+const SystemClock = {
+    now: () => Date.now(),
+    monotonic: () => performance.now(),
+    setTimer: (callback, delay) => setTimeout(callback, delay),
+    clearTimer: (timer) => clearTimeout(timer)
+};
+
+/**
+ * Clock that only moves when told to, for tests:
+ *
+ *   const clock = new FakeClock();
+ *   const store = new TinyKVStorePro({ clock });
+ *   store.put('k', 'v', { ttl: 10 });
+ *   clock.advance(10000); // 'k' expires now
+ */
+class FakeClock {
+    constructor(start = 0) {
+        this.time = start;
+        this.elapsed = 0;
+        this.timers = [];
+        this.nextId = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    monotonic() {
+        return this.elapsed;
+    }
+
+    setTimer(callback, delay) {
+        const timer = { id: this.nextId++, at: this.elapsed + Math.max(0, delay || 0), callback };
+        this.timers.push(timer);
+        return timer;
+    }
+
+    clearTimer(timer) {
+        const index = this.timers.indexOf(timer);
+        if (index !== -1) {
+            this.timers.splice(index, 1);
+        }
+    }
+
+    // Moves time forward by `ms`, firing due timers in deadline order
+    advance(ms) {
+        const target = this.elapsed + ms;
+        for (;;) {
+            const due = this.timers
+                .filter(timer => timer.at <= target)
+                .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+            if (!due) break;
+
+            this.clearTimer(due);
+            this.time += due.at - this.elapsed;
+            this.elapsed = due.at;
+            due.callback();
+        }
+        this.time += target - this.elapsed;
+        this.elapsed = target;
+    }
+
+    // Number of timers still waiting to fire
+    get pending() {
+        return this.timers.length;
+    }
+}
+
+// ============================================
+// WRITE-AHEAD LOG
+// ============================================
+//
+// Every mutation is appended here before it touches the store.
+// Records are stored one per line as `<crc32 hex>\t<json>` so a
+// torn or corrupted tail can be detected and cut off on recovery.
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(text) {
+    const bytes = new TextEncoder().encode(text);
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+class WriteAheadLog {
+    constructor(clock = SystemClock) {
+        this.records = [];
+        this.seq = 0;
+        this.clock = clock;
+    }
+
+    get length() {
+        return this.records.length;
+    }
+
+    static encode(record) {
+        const payload = JSON.stringify(record);
+        return crc32(payload).toString(16).padStart(8, '0') + '\t' + payload;
+    }
+
+    // Returns the record, or null if the line is torn or fails its checksum
+    static decode(line) {
+        if (typeof line !== 'string' || line.charAt(8) !== '\t') return null;
+
+        const payload = line.slice(9);
+        if (parseInt(line.slice(0, 8), 16) !== crc32(payload)) return null;
+
+        try {
+            return JSON.parse(payload);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Creates the next record. The entry, if any, is stamped with the
+     * record's sequence number so replay can tell which write is newer.
+     */
+    next(op, key, entry, extra) {
+        const record = { seq: this.seq + 1, timestamp: this.clock.now(), op };
+        if (key !== undefined) record.key = key;
+        if (entry !== undefined) {
+            entry.seq = record.seq;
+            record.entry = entry;
+        }
+        return extra ? Object.assign(record, extra) : record;
+    }
+
+    // Called once the record has been handed to the adapter
+    commit(record) {
+        this.seq = Math.max(this.seq, record.seq);
+        this.records.push(record);
+    }
+
+    // Drops the oldest `count` records once a checkpoint covers them
+    compact(count) {
+        this.records.splice(0, count);
+    }
+
+    /**
+     * Decodes stored lines, stopping at the first one that is torn,
+     * fails its checksum or breaks the sequence.
+     */
+    parse(lines) {
+        const records = [];
+        let expected = null;
+
+        for (let i = 0; i < lines.length; i++) {
+            const record = WriteAheadLog.decode(lines[i]);
+            if (!record || (expected !== null && record.seq !== expected)) {
+                return { records, invalid: lines.length - i, tornTail: i === lines.length - 1 };
+            }
+            records.push(record);
+            expected = record.seq + 1;
+        }
+
+        return { records, invalid: 0, tornTail: false };
+    }
+}
+
+// ============================================
+// KEY PATTERNS
+// ============================================
+
+// Glob pattern to RegExp: `*` matches any run of characters, `?` one character
+function globToRegex(pattern) {
+    const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp('^' + source + '$');
+}
+
+// ============================================
+// EXPIRY
+// ============================================
+
+const EXPIRE_BATCH = 200;              // keys expired per timer tick before yielding
+const MAX_TIMER_DELAY = 0x7FFFFFFF;    // setTimeout fires at once for longer delays
+
+/**
+ * Min-heap of (expiry, key) deadlines. Entries are never removed when a
+ * key is overwritten or persisted; the store skips deadlines that no
+ * longer match the key's current expiry when they come due.
+ */
+class ExpiryQueue {
+    constructor() {
+        this.heap = [];
+    }
+
+    get size() {
+        return this.heap.length;
+    }
+
+    peek() {
+        return this.heap[0] || null;
+    }
+
+    push(key, at) {
+        const heap = this.heap;
+        heap.push({ key, at });
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent].at <= heap[i].at) break;
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const heap = this.heap;
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < heap.length && heap[left].at < heap[smallest].at) smallest = left;
+                if (right < heap.length && heap[right].at < heap[smallest].at) smallest = right;
+                if (smallest === i) break;
+                [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                i = smallest;
+            }
+        }
+        return top || null;
+    }
+
+    clear() {
+        this.heap = [];
+    }
+}
+
+// ============================================
+// CACHE
+// ============================================
+//
+// The read cache keeps hot entries (the same objects as the store) under an
+// entry-count and/or byte limit. A policy only decides eviction order:
+//   insert(key)  a key was added
+//   touch(key)   a cached key was read
+//   remove(key)  a key was invalidated
+//   evict()      drops and returns the key to evict next
+// and optionally admit(key), called before room is made for a new key.
+
+const ENTRY_OVERHEAD = 64; // bytes assumed per entry for its fields and Map slot
+
+// Rough in-memory size of an entry: UTF-16 key and stored value plus overhead
+function entrySize(key, entry) {
+    const value = typeof entry.value === 'string' ? entry.value : JSON.stringify(entry.value);
+    return 2 * (key.length + (value ? value.length : 0)) + ENTRY_OVERHEAD;
+}
+
+const firstKey = (map) => map.keys().next().value;
+
+// Least recently used: a Map's insertion order is the recency order
+class LRUPolicy {
+    constructor() {
+        this.order = new Map();
+    }
+
+    get size() {
+        return this.order.size;
+    }
+
+    insert(key) {
+        this.order.delete(key);
+        this.order.set(key, true);
+    }
+
+    touch(key) {
+        this.insert(key);
+    }
+
+    remove(key) {
+        this.order.delete(key);
+    }
+
+    evict() {
+        const key = firstKey(this.order);
+        this.order.delete(key);
+        return key;
+    }
+}
+
+// Least frequently used, oldest first among equal counts; O(1) per operation
+class LFUPolicy {
+    constructor() {
+        this.counts = new Map();  // key -> reads + 1
+        this.buckets = new Map(); // count -> keys in insertion order
+        this.minCount = 0;
+    }
+
+    get size() {
+        return this.counts.size;
+    }
+
+    insert(key) {
+        if (this.counts.has(key)) {
+            this.touch(key);
+            return;
+        }
+        this.counts.set(key, 1);
+        this.bucket(1).add(key);
+        this.minCount = 1;
+    }
+
+    touch(key) {
+        const count = this.counts.get(key);
+        if (count === undefined) {
+            this.insert(key);
+            return;
+        }
+        this.unlink(key, count);
+        if (this.minCount === count && !this.buckets.has(count)) {
+            this.minCount = count + 1;
+        }
+        this.counts.set(key, count + 1);
+        this.bucket(count + 1).add(key);
+    }
+
+    remove(key) {
+        const count = this.counts.get(key);
+        if (count === undefined) return;
+        this.unlink(key, count);
+        this.counts.delete(key);
+        if (this.minCount === count && !this.buckets.has(count)) {
+            this.minCount = this.counts.size > 0 ? Math.min(...this.buckets.keys()) : 0;
+        }
+    }
+
+    evict() {
+        const key = firstKey(this.buckets.get(this.minCount));
+        this.remove(key);
+        return key;
+    }
+
+    bucket(count) {
+        if (!this.buckets.has(count)) this.buckets.set(count, new Set());
+        return this.buckets.get(count);
+    }
+
+    unlink(key, count) {
+        const bucket = this.buckets.get(count);
+        bucket.delete(key);
+        if (bucket.size === 0) this.buckets.delete(count);
+    }
+}
+
+/**
+ * Adaptive replacement cache (Megiddo & Modha). T1 holds keys read once,
+ * T2 keys read again; B1/B2 remember recently evicted keys so a miss on
+ * one of them shifts the target size `p` of T1 towards recency or
+ * frequency. Sizes are counted in entries, also under a byte limit.
+ */
+class ARCPolicy {
+    constructor() {
+        this.t1 = new Map();
+        this.t2 = new Map();
+        this.b1 = new Map();
+        this.b2 = new Map();
+        this.p = 0;
+        this.incomingFromB2 = false;
+    }
+
+    get capacity() {
+        return Math.max(1, this.t1.size + this.t2.size);
+    }
+
+    // A miss on a ghost key adapts p before an entry is replaced
+    admit(key) {
+        this.incomingFromB2 = this.b2.has(key);
+        if (this.b1.has(key)) {
+            this.p = Math.min(this.capacity, this.p + Math.max(this.b2.size / this.b1.size, 1));
+        } else if (this.b2.has(key)) {
+            this.p = Math.max(0, this.p - Math.max(this.b1.size / this.b2.size, 1));
+        }
+    }
+
+    insert(key) {
+        if (this.t1.has(key) || this.t2.has(key)) {
+            this.touch(key);
+            return;
+        }
+        if (this.b1.delete(key) | this.b2.delete(key)) {
+            this.t2.set(key, true);
+        } else {
+            this.t1.set(key, true);
+        }
+        this.incomingFromB2 = false;
+
+        // Keep the ghost lists no larger than the cache
+        while (this.b1.size + this.b2.size > this.capacity) {
+            const ghosts = this.b1.size > this.b2.size ? this.b1 : this.b2;
+            ghosts.delete(firstKey(ghosts));
+        }
+    }
+
+    touch(key) {
+        this.t1.delete(key);
+        this.t2.delete(key);
+        this.t2.set(key, true);
+    }
+
+    remove(key) {
+        this.t1.delete(key);
+        this.t2.delete(key);
+    }
+
+    evict() {
+        const fromT1 = this.t1.size > 0 && (this.t2.size === 0
+            || this.t1.size > this.p
+            || (this.incomingFromB2 && this.t1.size === Math.floor(this.p)));
+        const [list, ghosts] = fromT1 ? [this.t1, this.b1] : [this.t2, this.b2];
+        const key = firstKey(list);
+        list.delete(key);
+        ghosts.set(key, true);
+        return key;
+    }
+}
+
+const CACHE_POLICIES = { lru: LRUPolicy, lfu: LFUPolicy, arc: ARCPolicy };
+
+/**
+ * Read cache with a pluggable eviction policy. Map-like (`has`, `get`,
+ * `set`, `delete`, `clear`, `size`); `lookup()` is the counted read used
+ * by the store, which also refreshes the key under the policy.
+ */
+class Cache {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.policy='lru'] - 'lru', 'lfu' or 'arc'
+     * @param {number} [options.maxEntries=100] - 0 = no count limit
+     * @param {number} [options.maxBytes=0] - 0 = no byte limit
+     * @param {Function} [options.onEvict] - Called with each evicted key
+     */
+    constructor(options = {}) {
+        this.entries = new Map(); // key -> { entry, size }
+        this.bytes = 0;
+        this.maxEntries = options.maxEntries === undefined ? 100 : options.maxEntries;
+        this.maxBytes = options.maxBytes || 0;
+        this.onEvict = options.onEvict || (() => {});
+        this.metrics = {}; // policy -> { hits, misses, evictions }
+        this.setPolicy(options.policy || 'lru');
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    // Switches policy; cached keys are kept, in their current order
+    setPolicy(name) {
+        const Policy = CACHE_POLICIES[name];
+        if (!Policy) {
+            throw new Error(`Unknown cache policy '${name}'`);
+        }
+        this.policyName = name;
+        this.policy = new Policy();
+        this.entries.forEach((cached, key) => this.policy.insert(key));
+        if (!this.metrics[name]) {
+            this.metrics[name] = { hits: 0, misses: 0, evictions: 0 };
+        }
+    }
+
+    // Applies new limits, evicting as needed
+    resize({ maxEntries = this.maxEntries, maxBytes = this.maxBytes } = {}) {
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.makeRoom(0, 0);
+    }
+
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    get(key) {
+        const cached = this.entries.get(key);
+        return cached ? cached.entry : undefined;
+    }
+
+    lookup(key) {
+        const cached = this.entries.get(key);
+        const metrics = this.metrics[this.policyName];
+        if (!cached) {
+            metrics.misses++;
+            return undefined;
+        }
+        metrics.hits++;
+        this.policy.touch(key);
+        return cached.entry;
+    }
+
+    set(key, entry) {
+        const size = entrySize(key, entry);
+        const cached = this.entries.get(key);
+        if (cached) {
+            this.bytes += size - cached.size;
+            this.entries.set(key, { entry, size });
+            this.policy.touch(key);
+            this.makeRoom(0, 0);
+            return this;
+        }
+
+        // Too big to ever fit: not cached at all
+        if (this.maxBytes > 0 && size > this.maxBytes) return this;
+
+        if (this.policy.admit) this.policy.admit(key);
+        this.makeRoom(1, size);
+        this.entries.set(key, { entry, size });
+        this.bytes += size;
+        this.policy.insert(key);
+        return this;
+    }
+
+    delete(key) {
+        const cached = this.entries.get(key);
+        if (!cached) return false;
+        this.entries.delete(key);
+        this.bytes -= cached.size;
+        this.policy.remove(key);
+        return true;
+    }
+
+    clear() {
+        this.entries.clear();
+        this.bytes = 0;
+        this.setPolicy(this.policyName);
+    }
+
+    // Evicts until `count` more entries totalling `bytes` fit
+    makeRoom(count, bytes) {
+        const over = () => this.entries.size > 0 && (
+            (this.maxEntries > 0 && this.entries.size + count > this.maxEntries)
+            || (this.maxBytes > 0 && this.bytes + bytes > this.maxBytes));
+
+        while (over()) {
+            const key = this.policy.evict();
+            const cached = this.entries.get(key);
+            this.entries.delete(key);
+            this.bytes -= cached.size;
+            this.metrics[this.policyName].evictions++;
+            this.onEvict(key);
+        }
+    }
+
+    resetMetrics() {
+        this.metrics = { [this.policyName]: { hits: 0, misses: 0, evictions: 0 } };
+    }
+
+    getStats() {
+        const current = this.metrics[this.policyName];
+        const lookups = current.hits + current.misses;
+        return {
+            policy: this.policyName,
+            entries: this.entries.size,
+            bytes: this.bytes,
+            maxEntries: this.maxEntries,
+            maxBytes: this.maxBytes,
+            hits: current.hits,
+            misses: current.misses,
+            evictions: current.evictions,
+            hitRate: lookups > 0 ? (current.hits / lookups * 100).toFixed(1) : '0.0',
+            policies: JSON.parse(JSON.stringify(this.metrics))
+        };
+    }
+}
+
+// ============================================
+// MEMORY LIMIT
+// ============================================
+//
+// With a `maxMemory` budget (bytes, estimated with entrySize) a write that
+// would go over it first evicts other keys, picked Redis-style:
+//   noeviction      nothing is evicted; the write fails with OOM
+//   allkeys-lru     least recently used key
+//   volatile-lru    least recently used key with a TTL
+//   allkeys-lfu     least frequently used key
+//   volatile-ttl    key with the nearest expiry
+//   allkeys-random  any key
+// Unlike Redis the order is exact rather than sampled. Reads and writes
+// both count as use.
+
+const OOM = 'OOM command not allowed when used memory > maxMemory';
+
+// Uniformly random: keys sit in an array, so removal swaps in the last one
+class RandomPolicy {
+    constructor() {
+        this.keys = [];
+        this.positions = new Map(); // key -> index in keys
+    }
+
+    get size() {
+        return this.keys.length;
+    }
+
+    insert(key) {
+        if (this.positions.has(key)) return;
+        this.positions.set(key, this.keys.length);
+        this.keys.push(key);
+    }
+
+    touch(key) {
+        this.insert(key);
+    }
+
+    remove(key) {
+        const index = this.positions.get(key);
+        if (index === undefined) return;
+        const last = this.keys.pop();
+        if (last !== key) {
+            this.keys[index] = last;
+            this.positions.set(last, index);
+        }
+        this.positions.delete(key);
+    }
+
+    evict() {
+        const key = this.keys[Math.floor(Math.random() * this.keys.length)];
+        this.remove(key);
+        return key;
+    }
+}
+
+// Nearest expiry first; superseded deadlines are skipped when popped
+class TTLPolicy {
+    constructor() {
+        this.deadlines = new Map(); // key -> expiry
+        this.queue = new ExpiryQueue();
+    }
+
+    get size() {
+        return this.deadlines.size;
+    }
+
+    insert(key, entry) {
+        if (this.deadlines.get(key) === entry.expiry) return;
+        this.deadlines.set(key, entry.expiry);
+        this.queue.push(key, entry.expiry);
+        if (this.queue.size > 2 * this.deadlines.size + 64) {
+            this.queue.clear();
+            this.deadlines.forEach((at, deadlineKey) => this.queue.push(deadlineKey, at));
+        }
+    }
+
+    touch(key, entry) {
+        this.insert(key, entry);
+    }
+
+    remove(key) {
+        this.deadlines.delete(key);
+    }
+
+    evict() {
+        for (;;) {
+            const { key, at } = this.queue.pop();
+            if (this.deadlines.get(key) === at) {
+                this.deadlines.delete(key);
+                return key;
+            }
+        }
+    }
+}
+
+// policy -> the order keys are evicted in; volatile policies only track keys with a TTL
+const EVICTION_POLICIES = {
+    'noeviction': null,
+    'allkeys-lru': { Order: LRUPolicy, volatile: false },
+    'volatile-lru': { Order: LRUPolicy, volatile: true },
+    'allkeys-lfu': { Order: LFUPolicy, volatile: false },
+    'volatile-ttl': { Order: TTLPolicy, volatile: true },
+    'allkeys-random': { Order: RandomPolicy, volatile: false }
+};
+
+/**
+ * The store's key -> entry Map. It also keeps the estimated size of its
+ * entries, their eviction order under an eviction policy, and which keys
+ * its secondary indexes need to re-read. Sizes are measured lazily, so an
+ * entry changed in place only needs another set(). A collection is only
+ * re-serialized once its length has drifted by an eighth; in between its
+ * size is scaled from the last measurement.
+ */
+class EntryStore extends Map {
+    constructor() {
+        super();
+        this.sizes = new Map(); // key -> last measured size
+        this.stale = new Set(); // keys set since they were measured
+        this.samples = new Map(); // key -> { value, count, bytes } of collections
+        this.measured = 0;
+        this.order = null;
+        this.volatile = false;
+        this.indexes = new Map(); // name -> SecondaryIndex
+    }
+
+    // Estimated bytes used by all entries
+    get bytes() {
+        this.measure();
+        return this.measured;
+    }
+
+    sizeOf(key) {
+        if (this.stale.has(key)) this.measure();
+        return this.sizes.get(key) || 0;
+    }
+
+    measure() {
+        this.stale.forEach(key => {
+            const size = this.estimate(key, this.get(key));
+            this.measured += size - (this.sizes.get(key) || 0);
+            this.sizes.set(key, size);
+        });
+        this.stale.clear();
+    }
+
+    estimate(key, entry) {
+        if (!Collections.is(entry.type)) {
+            this.samples.delete(key);
+            return entrySize(key, entry);
+        }
+        const count = entry.value.size;
+        const sample = this.samples.get(key);
+        if (sample && sample.value === entry.value && Math.abs(count - sample.count) <= sample.count / 8) {
+            return Math.round(sample.bytes * count / sample.count);
+        }
+        const bytes = entrySize(key, entry);
+        this.samples.set(key, { value: entry.value, count, bytes });
+        return bytes;
+    }
+
+    set(key, entry) {
+        super.set(key, entry);
+        this.stale.add(key);
+        this.track(key, entry);
+        this.indexes.forEach(index => index.touch(key));
+        return this;
+    }
+
+    delete(key) {
+        if (!super.delete(key)) return false;
+        this.measured -= this.sizes.get(key) || 0;
+        this.sizes.delete(key);
+        this.stale.delete(key);
+        this.samples.delete(key);
+        if (this.order) this.order.remove(key);
+        this.indexes.forEach(index => index.remove(key));
+        return true;
+    }
+
+    clear() {
+        super.clear();
+        this.sizes.clear();
+        this.stale.clear();
+        this.samples.clear();
+        this.measured = 0;
+        if (this.order) this.order = new this.order.constructor();
+        this.indexes.forEach(index => index.clear());
+    }
+
+    // Tracks keys in the order `Order` evicts them (null = none)
+    setOrder(Order, volatile) {
+        this.order = Order ? new Order() : null;
+        this.volatile = volatile;
+        this.forEach((entry, key) => this.track(key, entry));
+    }
+
+    // Counts a read or write of the key towards the eviction order
+    track(key, entry) {
+        if (!this.order) return;
+        if (this.volatile && !entry.expiry) {
+            this.order.remove(key);
+        } else {
+            this.order.touch(key, entry);
+        }
+    }
+
+    // Takes the next key to evict other than `keep` out of the order
+    nextVictim(keep) {
+        if (!this.order || this.order.size === 0) return undefined;
+        const key = this.order.evict();
+        if (key !== keep) return key;
+
+        const next = this.order.size > 0 ? this.order.evict() : undefined;
+        this.order.insert(keep, this.get(keep));
+        return next;
+    }
+}
+
+// ============================================
+// SECONDARY INDEXES
+// ============================================
+
+// Index terms sort booleans first, then numbers, then strings
+const TERM_RANK = { boolean: 0, number: 1, string: 2 };
+
+function compareTerms(a, b) {
+    const rank = TERM_RANK[typeof a] - TERM_RANK[typeof b];
+    if (rank !== 0) return rank;
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+// What a field value is indexed under: strings, finite numbers and booleans
+// as they are, dates as ISO strings, and arrays or Sets element by element
+function indexTerms(value, nested = false) {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? [] : [value.toISOString()];
+    }
+    if (!nested && (Array.isArray(value) || value instanceof Set)) {
+        return Array.from(value).flatMap(item => indexTerms(item, true));
+    }
+    if (typeof value === 'string' || typeof value === 'boolean'
+        || (typeof value === 'number' && Number.isFinite(value))) {
+        return [value];
+    }
+    return [];
+}
+
+/**
+ * Maps the values of one field to the keys holding them, for keys that
+ * start with `prefix`. Like entry sizes, terms are read lazily: a set()
+ * only marks the key stale, and the store re-reads stale keys before a
+ * lookup (it alone can decode values).
+ */
+class SecondaryIndex {
+    constructor({ name, prefix = '', path = '' }) {
+        this.name = name;
+        this.prefix = prefix;
+        this.path = path;
+        this.segments = path ? path.split('.') : [];
+        this.terms = new Map(); // key -> the terms it is filed under
+        this.postings = new Map(); // type:term -> { term, keys }
+        this.sorted = []; // distinct terms, in compareTerms() order
+        this.stale = new Set();
+    }
+
+    toJSON() {
+        return { name: this.name, prefix: this.prefix, path: this.path };
+    }
+
+    touch(key) {
+        if (key.startsWith(this.prefix)) this.stale.add(key);
+    }
+
+    // The field at `path` in a decoded value, through objects and Maps
+    extract(value) {
+        return this.segments.reduce((current, segment) => {
+            if (current instanceof Map) return current.get(segment);
+            return current !== null && typeof current === 'object' ? current[segment] : undefined;
+        }, value);
+    }
+
+    file(key, terms) {
+        const unique = Array.from(new Set(terms));
+        unique.forEach((term) => {
+            const id = typeof term + ':' + term;
+            if (!this.postings.has(id)) {
+                this.postings.set(id, { term, keys: new Set() });
+                this.sorted.splice(this.lowerBound(term), 0, term);
+            }
+            this.postings.get(id).keys.add(key);
+        });
+        if (unique.length > 0) this.terms.set(key, unique);
+    }
+
+    unfile(key) {
+        (this.terms.get(key) || []).forEach((term) => {
+            const id = typeof term + ':' + term;
+            const posting = this.postings.get(id);
+            posting.keys.delete(key);
+            if (posting.keys.size === 0) {
+                this.postings.delete(id);
+                this.sorted.splice(this.lowerBound(term), 1);
+            }
+        });
+        this.terms.delete(key);
+    }
+
+    remove(key) {
+        this.stale.delete(key);
+        this.unfile(key);
+    }
+
+    clear() {
+        this.terms.clear();
+        this.postings.clear();
+        this.sorted = [];
+        this.stale.clear();
+    }
+
+    // Index of the first term not below `term`
+    lowerBound(term) {
+        let low = 0;
+        let high = this.sorted.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (compareTerms(this.sorted[mid], term) < 0) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    find(term) {
+        const posting = this.postings.get(typeof term + ':' + term);
+        return posting ? Array.from(posting.keys) : [];
+    }
+
+    // Keys filed under terms from `min` to `max` inclusive (null = unbounded), in term order
+    range(min, max) {
+        const keys = new Set();
+        for (let i = min === null ? 0 : this.lowerBound(min); i < this.sorted.length; i++) {
+            const term = this.sorted[i];
+            if (max !== null && compareTerms(term, max) > 0) break;
+            this.postings.get(typeof term + ':' + term).keys.forEach(key => keys.add(key));
+        }
+        return Array.from(keys);
+    }
+}
+
+// ============================================
+// TRANSACTIONS
+// ============================================
+// Commands that may be queued on a transaction. They must complete
+// synchronously, so encrypted and deflate/gzip writes are refused.
+const TRANSACTION_COMMANDS = [
+    'put', 'putIf', 'compareAndSet', 'get', 'delete', 'exists',
+    'expire', 'pexpire', 'expireAt', 'persist', 'ttl', 'pttl', 'revert', 'history',
+    'incr', 'decr', 'incrBy', 'incrByFloat',
+    'hset', 'hget', 'hmget', 'hgetall', 'hdel', 'hexists', 'hkeys', 'hlen', 'hincrby',
+    'lpush', 'rpush', 'lpop', 'rpop', 'lrange', 'llen', 'lrem', 'ltrim',
+    'sadd', 'srem', 'smembers', 'sismember', 'scard', 'sunion', 'sinter', 'sdiff',
+    'zadd', 'zincrby', 'zrem', 'zrange', 'zrangebyscore', 'zrank', 'zscore', 'zcard'
+];
+
+/**
+ * Queues commands until exec(), which applies them all or none of them.
+ * Command methods return the transaction so calls can be chained.
+ */
+class Transaction {
+    constructor(store) {
+        this.store = store;
+        this.queue = [];
+        this.finished = false;
+        this.watched = new Set();
+        this.changed = false; // set by the store when a watched key is written
+    }
+
+    // WATCH: exec() aborts if any of these keys is written before it runs
+    watch(...keys) {
+        this.assertOpen();
+        keys.flat().forEach(key => this.watched.add(key));
+        this.store.watchers.add(this);
+        return this;
+    }
+
+    unwatch() {
+        this.watched.clear();
+        this.changed = false;
+        this.store.watchers.delete(this);
+        return this;
+    }
+
+    /**
+     * Returns each command's result in order, or null without running
+     * anything if a watched key changed. Rethrows the first error after
+     * rolling back.
+     */
+    exec() {
+        this.assertOpen();
+        this.finished = true;
+        this.store.watchers.delete(this);
+        if (this.changed) {
+            return null;
+        }
+        return this.store.execTransaction(this.queue);
+    }
+
+    discard() {
+        this.assertOpen();
+        this.finished = true;
+        this.queue = [];
+        this.store.watchers.delete(this);
+    }
+
+    assertOpen() {
+        if (this.finished) {
+            throw new Error('Transaction already executed or discarded');
+        }
+    }
+}
+
+TRANSACTION_COMMANDS.forEach(name => {
+    Transaction.prototype[name] = function (...args) {
+        this.assertOpen();
+        if (name === 'put' || name === 'putIf' || name === 'compareAndSet') {
+            const options = (name === 'compareAndSet' ? args[3] : args[2]) || {};
+            if (options.encrypted || (options.compress && Compression.codec(Compression.resolve(options.compress)).async)) {
+                throw new Error('Encrypted and deflate/gzip writes are asynchronous and cannot run in a transaction');
+            }
+        }
+        this.queue.push(() => this.store[name](...args));
+        return this;
+    };
+});
+
+// ============================================
+// ENHANCED KV STORE CLASS
+// ============================================
+
+const MAX_RETIRED_VERSIONS = 10000; // deleted keys whose last version is remembered
+
+class TinyKVStorePro {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.adapter] - Storage adapter (defaults to a MemoryAdapter)
+     * @param {Storage} [options.storage] - Shorthand for a LocalStorageAdapter over this Storage object
+     * @param {string} [options.storageKey='kvstore-pro'] - Key prefix used with `storage`
+     * @param {boolean} [options.monitoring=true] - Emit 'stats' events every second
+     * @param {Object} [options.checkpoint] - Automatic checkpointing
+     * @param {number} [options.checkpoint.maxWalRecords=1000] - Checkpoint once the WAL holds this many records
+     * @param {number} [options.checkpoint.interval=0] - Also checkpoint every `interval` ms (0 = off)
+     * @param {string} [options.passphrase] - Master passphrase to unlock the keyring with once loaded
+     * @param {Object} [options.clock] - Time source (defaults to SystemClock; see FakeClock)
+     * @param {Object} [options.cache] - Read cache: { policy: 'lru'|'lfu'|'arc', maxEntries: 100, maxBytes: 0 }
+     * @param {number} [options.maxMemory=0] - Memory budget in bytes for stored entries (0 = unlimited)
+     * @param {string} [options.maxMemoryPolicy='noeviction'] - What to evict at the budget; see configureMemory()
+     * @param {Object} [options.history] - Old versions to keep per key: { maxVersions: 0, maxAge: 0 }; see configureHistory()
+     */
+    constructor(options = {}) {
+        this.clock = options.clock || SystemClock;
+        this.adapter = options.adapter
+            || (options.storage
+                ? new LocalStorageAdapter(options.storage, options.storageKey || 'kvstore-pro')
+                : new MemoryAdapter());
+        this.listeners = new Map();
+        this.store = new EntryStore();
+        this.wal = new WriteAheadLog(this.clock);
+        this.loading = false;
+        this.recovery = null;
+        this.dirtyKeys = new Set();
+        this.dirtyClear = false;
+        this.checkpointing = {
+            maxWalRecords: (options.checkpoint && options.checkpoint.maxWalRecords) || 1000,
+            interval: (options.checkpoint && options.checkpoint.interval) || 0,
+            timer: null,
+            running: null,
+            seq: 0,
+            last: null,
+            image: null // { seq, entries: key -> entry JSON } while stateAt() is in use
+        };
+        this.cache = new Cache({
+            ...options.cache,
+            // Not a keyspace event: the key is still stored
+            onEvict: key => this.emit('cache-evict', { type: 'cache-evict', key, timestamp: this.clock.now() })
+        });
+        this.encryptedKeys = new Set();
+        this.blockedPops = new Map(); // key -> waiting blpop/brpop callers
+        this.openTransaction = null;
+        this.watchers = new Set(); // transactions with watched keys
+        this.recordings = new Set(); // recordChanges() calls in progress
+        this.subscriptions = new Map(); // key pattern -> { regex, handlers }
+        this.channels = new Map(); // channel pattern -> { regex, handlers }
+        this.publishedChannels = new Set(); // recent channel names, to spot subscribe() given a channel
+        this.channelWarnings = new Set(); // subscribe() patterns already warned about
+        this.expiries = new ExpiryQueue();
+        this.expiryTimer = null;
+        this.expiryTimerAt = null;
+        this.versions = new Map(); // key -> older versions, oldest first
+        this.retiredVersions = new Map(); // deleted key -> its last version, oldest deletion first
+        this.versionFloor = 0; // highest version of the deletions retiredVersions let go of
+        this.historyRetention = { maxVersions: 0, maxAge: 0, rules: [] };
+        if (options.history) {
+            this.configureHistory(options.history);
+        }
+        this.root = this; // database '0', which db() hands out the others from
+        this.name = '0';
+        this.openDatabases = new Map([['0', this]]);
+        this.databaseNames = new Set(['0']);
+        this.databaseOptions = {
+            clock: this.clock,
+            monitoring: options.monitoring,
+            checkpoint: options.checkpoint,
+            cache: options.cache,
+            maxMemory: options.maxMemory,
+            maxMemoryPolicy: options.maxMemoryPolicy,
+            history: options.history
+        };
+        this.keyring = new Keyring();
+        this.queryHistory = [];
+        this.stats = {
+            totalOps: 0,
+            putOps: 0,
+            getOps: 0,
+            deleteOps: 0,
+            incrOps: 0,
+            conflicts: 0,
+            evictedKeys: 0,
+            cacheHits: 0,
+            cacheMisses: 0,
+            latencies: [],
+            opsPerSecond: [],
+            timestamps: []
+        };
+        this.memory = { maxMemory: 0, policy: null };
+        this.configureMemory({
+            maxMemory: options.maxMemory || 0,
+            policy: options.maxMemoryPolicy || 'noeviction'
+        });
+        this.monitoring = {
+            enabled: options.monitoring !== false,
+            interval: null
+        };
+        this.loaded = this.loadFromStorage();
+        this.ready = this.loaded;
+        this.lockError = null; // why the constructor's passphrase failed to unlock
+        if (options.passphrase) {
+            // A wrong passphrase leaves the store locked instead of rejecting `ready`
+            this.ready = this.loaded.then(report => this.unlock(options.passphrase).then(() => report, e => {
+                this.lockError = e;
+                report.lockError = e.message;
+                this.emit('error', e);
+                return report;
+            }));
+        }
+        if (this.monitoring.enabled) {
+            this.startMonitoring();
+        }
+        if (this.checkpointing.interval > 0) {
+            this.startCheckpointTimer();
+        }
+    }
+
+    // ========================================
+    // TIMERS
+    // ========================================
+
+    // A clock timer that doesn't keep a Node process alive on its own
+    startTimer(callback, delay) {
+        const timer = this.clock.setTimer(callback, delay);
+        if (timer && typeof timer.unref === 'function') {
+            timer.unref();
+        }
+        return timer;
+    }
+
+    // Repeats `callback` every `interval` ms; stop it with stopInterval()
+    startInterval(callback, interval) {
+        const handle = { timer: null };
+        const tick = () => {
+            handle.timer = this.startTimer(tick, interval);
+            callback();
+        };
+        handle.timer = this.startTimer(tick, interval);
+        return handle;
+    }
+
+    stopInterval(handle) {
+        this.clock.clearTimer(handle.timer);
+    }
+
+    // ========================================
+    // EVENTS
+    // ========================================
+
+    on(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        const handlers = this.listeners.get(event);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    emit(event, payload) {
+        const handlers = this.listeners.get(event);
+        if (!handlers) return;
+
+        handlers.forEach(handler => {
+            try {
+                handler(payload);
+            } catch (e) {
+                console.error(`Listener for '${event}' failed:`, e);
+            }
+        });
+    }
+
+    /**
+     * Calls `handler(event)` for keyspace events on keys matching the glob
+     * pattern, and for every 'clear'. Returns a function that unsubscribes.
+     * Channel messages go to psubscribe() instead; a pattern matching a
+     * channel that has been published to gets a console warning.
+     */
+    subscribe(pattern, handler) {
+        const channel = Array.from(this.root.publishedChannels).find(name => globToRegex(pattern).test(name));
+        if (channel !== undefined) {
+            this.warnChannelPattern(pattern, channel);
+        }
+        return this.addSubscription(this.subscriptions, pattern, handler, () => this.unsubscribe(pattern, handler));
+    }
+
+    // Without a handler, drops every subscription to the pattern; without arguments, all of them
+    unsubscribe(pattern, handler) {
+        this.removeSubscription(this.subscriptions, pattern, handler);
+    }
+
+    /**
+     * Calls `handler(event)` for messages published to channels matching
+     * the glob pattern. Keyspace events never reach it. Returns a function
+     * that unsubscribes.
+     */
+    psubscribe(pattern, handler) {
+        return this.addSubscription(this.channels, pattern, handler, () => this.punsubscribe(pattern, handler));
+    }
+
+    // Without a handler, drops every subscription to the pattern; without arguments, all of them
+    punsubscribe(pattern, handler) {
+        this.removeSubscription(this.channels, pattern, handler);
+    }
+
+    // subscribe() carried channel messages before psubscribe() existed; warns once per pattern
+    warnChannelPattern(pattern, channel) {
+        const warned = this.root.channelWarnings;
+        // A bare '*' matches every key on purpose
+        if (warned.has(pattern) || /^[*?]*$/.test(pattern)) return;
+        warned.add(pattern);
+        console.warn(`subscribe('${pattern}') only receives keyspace events; `
+            + `use psubscribe('${pattern}') for messages published to '${channel}'`);
+    }
+
+    addSubscription(registry, pattern, handler, unsubscribe) {
+        if (typeof handler !== 'function') {
+            throw new Error('A subscription needs a handler function');
+        }
+        if (!registry.has(pattern)) {
+            registry.set(pattern, { regex: globToRegex(pattern), handlers: new Set() });
+        }
+        registry.get(pattern).handlers.add(handler);
+        return unsubscribe;
+    }
+
+    removeSubscription(registry, pattern, handler) {
+        if (pattern === undefined) {
+            registry.clear();
+            return;
+        }
+        const subscription = registry.get(pattern);
+        if (!subscription) return;
+
+        if (handler) {
+            subscription.handlers.delete(handler);
+        }
+        if (!handler || subscription.handlers.size === 0) {
+            registry.delete(pattern);
+        }
+    }
+
+    /**
+     * Delivers a message to psubscribe() handlers of matching channels and
+     * to on('message') listeners. Channels are independent of keys: nothing
+     * is stored or logged, and every database shares them. Returns the
+     * number of handlers reached.
+     */
+    publish(channel, message) {
+        if (typeof channel !== 'string' || !channel) {
+            throw new Error('Invalid channel');
+        }
+        const event = { type: 'message', channel, message, timestamp: this.clock.now() };
+        const databases = Array.from(this.root.openDatabases.values());
+        let delivered = 0;
+        databases.forEach(database => {
+            delivered += database.deliver(event, database.channels, channel);
+        });
+
+        // Bounded: the names only serve the subscribe() warning
+        const published = this.root.publishedChannels;
+        if (!published.has(channel) && published.size < 1000) {
+            published.add(channel);
+        }
+        const heard = databases.some(database => Array.from(database.channels.values()).some(({ regex }) => regex.test(channel)));
+        if (!heard) {
+            databases.forEach(database => database.subscriptions.forEach(({ regex }, pattern) => {
+                if (regex.test(channel)) database.warnChannelPattern(pattern, channel);
+            }));
+        }
+        return delivered;
+    }
+
+    /**
+     * Keyspace event: 'set', 'delete', 'expire', 'evict' or 'clear'.
+     * Nothing is emitted while loading, and events from a transaction
+     * wait until it commits.
+     */
+    notify(type, key, details) {
+        if (this.loading || (this.subscriptions.size === 0 && !this.listeners.has(type))) return;
+
+        const event = { type, key, timestamp: this.clock.now(), ...details };
+        if (this.openTransaction) {
+            this.openTransaction.events.push(event);
+        } else {
+            this.dispatch(event);
+        }
+    }
+
+    // Returns the number of handlers the keyspace event reached
+    dispatch(event) {
+        return this.deliver(event, this.subscriptions, event.key);
+    }
+
+    // Emits to on() listeners, then to the registry's subscriptions matching
+    // `target` (all of them when there is none, as for 'clear')
+    deliver(event, registry, target) {
+        const listeners = this.listeners.get(event.type);
+        let delivered = listeners ? listeners.size : 0;
+        this.emit(event.type, event);
+
+        registry.forEach(({ regex, handlers }, pattern) => {
+            if (target !== undefined && !regex.test(target)) return;
+            handlers.forEach(handler => {
+                delivered++;
+                try {
+                    handler(event);
+                } catch (e) {
+                    console.error(`Subscriber for '${pattern}' failed:`, e);
+                }
+            });
+        });
+        return delivered;
+    }
+
+    // ========================================
+    // CORE OPERATIONS
+    // ========================================
+    
+    /**
+     * Stores a value. Strings, finite numbers, booleans, null, plain
+     * objects, arrays, Dates and Uint8Arrays keep their type on get().
+     * With `encrypted: true` or an async codec (`compress: 'deflate'`/
+     * `'gzip'`) this returns a Promise. `compress: true` uses the
+     * default LZ codec.
+     */
+    put(key, value, options = {}) {
+        const start = this.clock.monotonic();
+        
+        if (!key || value === undefined) {
+            throw new Error('Invalid key or value');
+        }
+
+        const type = ValueTypes.of(value);
+        const text = ValueTypes.encode(value, type);
+
+        // Handle compression first: ciphertext doesn't compress
+        const codec = options.compress ? Compression.resolve(options.compress) : null;
+
+        return when(codec ? Compression.compress(text, codec) : null, packed => {
+            const storedValue = packed === null ? text : packed;
+            const putOptions = packed === null
+                ? { ...options, type, codec: null }
+                : { ...options, type, codec, originalSize: text.length };
+
+            // Handle encryption
+            if (options.encrypted) {
+                return this.encryptValue(storedValue)
+                    .then(({ keyId, ciphertext }) => this.commitPut(key, ciphertext, { ...putOptions, keyId }, start));
+            }
+
+            return this.commitPut(key, storedValue, putOptions, start);
+        });
+    }
+
+    commitPut(key, storedValue, options, start) {
+        // Checked here rather than in put() so async encryption can't race another write
+        const conflict = this.checkConditions(key, options);
+        if (conflict) {
+            return conflict;
+        }
+
+        // Create entry
+        const entry = {
+            value: storedValue,
+            type: options.type || 'string',
+            timestamp: this.clock.now(),
+            encrypted: options.encrypted || false,
+            compressed: Boolean(options.codec),
+            version: this.nextVersion(key)
+        };
+
+        if (options.codec) {
+            entry.codec = options.codec;
+            if (options.originalSize) {
+                entry.originalSize = options.originalSize;
+            }
+        }
+
+        if (options.encrypted && options.keyId) {
+            entry.keyId = options.keyId;
+        }
+
+        if (options.ttl && options.ttl > 0) {
+            entry.expiry = this.clock.now() + (options.ttl * 1000);
+        }
+
+        this.reserveMemory(key, entrySize(key, entry));
+
+        // Write to WAL before touching the store
+        this.logWrite('PUT', key, entry);
+
+        if (entry.expiry) {
+            this.scheduleExpiry(key, entry);
+        }
+
+        this.archive(key);
+        this.store.set(key, entry);
+        if (entry.encrypted) {
+            this.encryptedKeys.add(key);
+        } else {
+            this.encryptedKeys.delete(key);
+        }
+        this.updateCache(key, entry);
+        this.markDirty(key);
+        this.notify('set', key, { version: entry.version });
+
+        const latency = this.clock.monotonic() - start;
+        this.recordStats('PUT', latency);
+
+        return { success: true, latency: latency.toFixed(2), version: entry.version };
+    }
+
+    /**
+     * put() that only writes when the conditions hold:
+     * - `ifVersion`: the key's current version (0 for a missing key)
+     * - `ifAbsent`: the key does not exist
+     * - `ifExists`: the key exists
+     * Otherwise returns `{ success: false, error, version }`.
+     */
+    putIf(key, value, conditions = {}) {
+        return this.put(key, value, conditions);
+    }
+
+    // Writes only if the key is still at `expectedVersion` (0 = must not exist)
+    compareAndSet(key, expectedVersion, value, options = {}) {
+        return this.put(key, value, { ...options, ifVersion: expectedVersion });
+    }
+
+    // The key's version, or 0 if it doesn't exist
+    getVersion(key) {
+        const entry = this.liveEntry(key);
+        return entry ? entry.version || 1 : 0;
+    }
+
+    // Versions go up by one with every write to the key. A recreated key
+    // starts above the version it had when deleted (and above its own
+    // history), so a compareAndSet() from before a delete can never match
+    // again. A brand-new key starts at 1, unless deletions have overflowed
+    // retiredVersions: then keys start above every version it forgot.
+    nextVersion(key) {
+        const entry = this.store.get(key);
+        if (entry) return (entry.version || 1) + 1;
+        const versions = this.versions.get(key);
+        const last = versions ? versions[versions.length - 1].version : 0;
+        return Math.max(last, this.retiredVersions.get(key) || 0, this.versionFloor) + 1;
+    }
+
+    // Called as an entry leaves the store for good
+    retireVersion(key, entry) {
+        const previous = this.retiredVersions.get(key) || 0;
+        this.retiredVersions.delete(key); // re-inserted as the newest deletion
+        this.retiredVersions.set(key, Math.max(previous, entry.version || 1));
+        if (this.retiredVersions.size > MAX_RETIRED_VERSIONS) {
+            const [oldest, version] = this.retiredVersions.entries().next().value;
+            this.retiredVersions.delete(oldest);
+            this.versionFloor = Math.max(this.versionFloor, version);
+        }
+    }
+
+    // Returns a failed put() result if a putIf() condition doesn't hold
+    checkConditions(key, options) {
+        const hasVersion = options.ifVersion !== undefined && options.ifVersion !== null;
+        if (!hasVersion && !options.ifAbsent && !options.ifExists) {
+            return null;
+        }
+
+        const version = this.getVersion(key);
+        let error = null;
+        if (options.ifAbsent && version !== 0) {
+            error = 'Key already exists';
+        } else if (options.ifExists && version === 0) {
+            error = 'Key does not exist';
+        } else if (hasVersion && options.ifVersion !== version) {
+            error = `Version mismatch: expected ${options.ifVersion}, found ${version}`;
+        }
+        if (!error) {
+            return null;
+        }
+
+        this.stats.conflicts++;
+        return { success: false, error, version };
+    }
+
+    /**
+     * Returns the value, or null if missing or expired. Encrypted
+     * entries resolve through a Promise that rejects if the value
+     * was tampered with or the store is locked. With `{ version }` or
+     * `{ asOf }` an older value is read from the key's history.
+     */
+    get(key, options = {}) {
+        if (options.version !== undefined || options.asOf !== undefined) {
+            return this.getVersioned(key, options);
+        }
+
+        const start = this.clock.monotonic();
+        this.stats.getOps++;
+
+        // Check cache
+        const cached = this.cache.lookup(key);
+        if (cached) {
+            this.stats.cacheHits++;
+            
+            if (cached.expiry && cached.expiry < this.clock.now()) {
+                this.expireKey(key);
+                return null;
+            }
+            this.store.track(key, cached);
+
+            const latency = this.clock.monotonic() - start;
+            this.recordStats('GET', latency);
+            
+            return this.processValue(cached.value, cached);
+        }
+
+        // Cache miss
+        this.stats.cacheMisses++;
+
+        if (!this.store.has(key)) {
+            const latency = this.clock.monotonic() - start;
+            this.recordStats('GET', latency);
+            return null;
+        }
+
+        const entry = this.store.get(key);
+        
+        if (entry.expiry && entry.expiry < this.clock.now()) {
+            this.expireKey(key);
+            return null;
+        }
+
+        this.store.track(key, entry);
+        this.updateCache(key, entry);
+
+        const latency = this.clock.monotonic() - start;
+        this.recordStats('GET', latency);
+        
+        return this.processValue(entry.value, entry);
+    }
+
+    delete(key) {
+        return this.dropKey(key, 'delete');
+    }
+
+    // Deletes a key whose TTL has passed; listeners get 'expire' rather than 'delete'
+    expireKey(key) {
+        return this.dropKey(key, 'expire');
+    }
+
+    dropKey(key, event, details) {
+        const start = this.clock.monotonic();
+
+        const existed = this.store.has(key);
+        if (existed) {
+            const record = this.logWrite('DELETE', key);
+            this.archive(key, record.timestamp);
+            this.retireVersion(key, this.store.get(key));
+            this.store.delete(key);
+            this.markDirty(key);
+        }
+
+        this.cache.delete(key);
+        this.encryptedKeys.delete(key);
+        if (existed) {
+            this.notify(event, key, details);
+        }
+
+        const latency = this.clock.monotonic() - start;
+        this.recordStats('DELETE', latency);
+
+        return { success: existed, latency: latency.toFixed(2) };
+    }
+
+    // ========================================
+    // ADVANCED OPERATIONS
+    // ========================================
+
+    exists(key) {
+        const entry = this.store.get(key);
+        if (!entry) return false;
+        if (entry.expiry && entry.expiry < this.clock.now()) {
+            this.expireKey(key);
+            return false;
+        }
+        return true;
+    }
+
+    keys(pattern = '*') {
+        const keys = Array.from(this.store.keys());
+        if (pattern === '*') return keys;
+        
+        const regex = globToRegex(pattern);
+        return keys.filter(k => regex.test(k));
+    }
+
+    scan(cursor = 0, options = {}) {
+        const keys = Array.from(this.store.keys());
+        const count = options.count || 10;
+        const pattern = options.match || '*';
+        
+        const regex = globToRegex(pattern);
+        
+        const filtered = keys.filter(k => regex.test(k));
+        const result = filtered.slice(cursor, cursor + count);
+        
+        return {
+            cursor: cursor + count < filtered.length ? cursor + count : 0,
+            keys: result
+        };
+    }
+
+    clear() {
+        this.dropAll();
+        this.queryHistory = [];
+        this.resetStats();
+
+        this.maybeCheckpoint();
+        this.notify('clear');
+    }
+
+    // Logs a CLEAR and empties the keyspace; clear() also resets the stats
+    dropAll() {
+        this.logWrite('CLEAR');
+
+        this.store.forEach((entry, key) => this.retireVersion(key, entry));
+        this.store.clear();
+        this.cache.clear();
+        this.encryptedKeys.clear();
+        this.versions.clear();
+
+        this.dirtyKeys.clear();
+        this.dirtyClear = true;
+        this.expiries.clear();
+        this.stopExpiryTimer();
+    }
+
+    // ========================================
+    // DATABASES
+    // ========================================
+    //
+    // Each named database is a TinyKVStorePro of its own: keyspace, WAL,
+    // TTLs, cache, stats, keyring and memory budget, persisted through
+    // adapter.namespace(name). The store you construct is database '0',
+    // which also keeps the list of names. Pub/sub channels are shared.
+
+    /**
+     * Returns the named database, creating it on first use with this
+     * store's options. Names are letters, digits, '_' and '-'. With an
+     * asynchronous adapter, await its `ready` before writing.
+     */
+    db(name) {
+        const root = this.root;
+        name = String(name);
+        if (root.openDatabases.has(name)) {
+            return root.openDatabases.get(name);
+        }
+        if (!/^[\w-]+$/.test(name)) {
+            throw new Error(`Invalid database name '${name}'`);
+        }
+        if (typeof root.adapter.namespace !== 'function') {
+            throw new Error('The storage adapter does not support databases');
+        }
+
+        const database = new TinyKVStorePro({ ...root.databaseOptions, adapter: root.adapter.namespace(name) });
+        database.root = root;
+        database.name = name;
+        root.openDatabases.set(name, database);
+        if (!root.databaseNames.has(name)) {
+            root.databaseNames.add(name);
+            root.saveDatabases();
+        }
+        return database;
+    }
+
+    // Database by number, like Redis SELECT; select(0) is the root store
+    select(index) {
+        if (!Number.isInteger(index) || index < 0) {
+            throw new Error('Database index must be a non-negative integer');
+        }
+        return this.db(index);
+    }
+
+    // Names of every database created so far, '0' first
+    databases() {
+        return Array.from(this.root.databaseNames);
+    }
+
+    // The list of names is logged like any other write so it survives a crash
+    saveDatabases() {
+        if (this.loading) {
+            this.loaded.then(() => this.saveDatabases());
+            return;
+        }
+        this.logWrite('DATABASES', undefined, undefined, { names: this.databases() });
+        this.maybeCheckpoint();
+    }
+
+    /**
+     * Moves a key to another database (a name or a db() handle), keeping
+     * its TTL and version (raised past any version the key had there).
+     * Its history stays here, ending in the delete. False if the key
+     * doesn't exist here or already exists there. Encrypted values can't
+     * move: each database has its own keyring.
+     */
+    move(key, db) {
+        const target = db instanceof TinyKVStorePro ? db : this.db(db);
+        if (target === this) {
+            throw new Error('Source and destination databases are the same');
+        }
+        const entry = this.liveEntry(key);
+        if (!entry || target.exists(key)) {
+            return false;
+        }
+        if (entry.encrypted) {
+            throw new Error('Cannot move an encrypted value to another database');
+        }
+
+        const version = Math.max(entry.version || 1, target.nextVersion(key));
+        const copy = { ...Collections.revive(cloneEntry(entry)), version };
+        target.reserveMemory(key, entrySize(key, copy));
+        target.putEntry(key, copy);
+        this.delete(key);
+        return true;
+    }
+
+    /**
+     * Swaps the contents (entries, TTLs and keyrings) of two databases.
+     * Handles keep their names: db('a') now holds what db('b') held.
+     * Versions keep going up; both databases' version history is reset.
+     */
+    swapdb(a, b) {
+        const first = this.db(a);
+        const second = this.db(b);
+        if (first === second) return true;
+        if (first.loading || second.loading) {
+            throw new Error('Store is still loading; await store.ready before writing');
+        }
+
+        const firstContents = first.contents();
+        first.takeContents(second.contents());
+        second.takeContents(firstContents);
+        return true;
+    }
+
+    // Clears every database
+    flushall() {
+        this.databases().forEach(name => this.db(name).clear());
+    }
+
+    contents() {
+        return { entries: this.snapshot().entries, keyring: this.keyring };
+    }
+
+    // Replaces the keyspace and keyring with another database's contents()
+    takeContents({ entries, keyring }) {
+        const versions = new Map(Array.from(this.store, ([key, entry]) => [key, entry.version || 1]));
+        this.dropAll();
+        this.notify('clear');
+        this.keyring = keyring;
+        this.saveKeyring();
+
+        entries.forEach(([key, entry]) => {
+            // Versions keep going up, so an old compareAndSet() can't match
+            const version = Math.max(versions.get(key) || 0, entry.version || 1) + 1;
+            this.putEntry(key, { ...Collections.revive(entry), version });
+        });
+        this.maybeCheckpoint();
+    }
+
+    // ========================================
+    // BATCH OPERATIONS
+    // ========================================
+
+    /**
+     * Runs operations in order. Between { op: 'MULTI' } and { op: 'EXEC' }
+     * operations are queued ('QUEUED') and applied as one transaction;
+     * { op: 'DISCARD' } drops the queue. { op: 'WATCH', keys } before MULTI
+     * makes EXEC fail if one of the keys is written in between. A MULTI
+     * left open at the end is discarded.
+     */
+    batch(operations) {
+        const results = [];
+        const startTime = this.clock.monotonic();
+        let tx = null;
+        let watching = null;
+        
+        try {
+            for (const op of operations) {
+                let result;
+                switch (op.op.toUpperCase()) {
+                    case 'WATCH':
+                        if (tx) throw new Error('WATCH inside MULTI is not allowed');
+                        watching = watching || this.multi();
+                        watching.watch(op.keys || [op.key]);
+                        result = { success: true };
+                        break;
+                    case 'UNWATCH':
+                        if (watching) watching.discard();
+                        watching = null;
+                        result = { success: true };
+                        break;
+                    case 'MULTI':
+                        if (tx) throw new Error('MULTI calls can not be nested');
+                        tx = watching || this.multi();
+                        watching = null;
+                        result = { success: true };
+                        break;
+                    case 'EXEC': {
+                        if (!tx) throw new Error('EXEC without MULTI');
+                        const results = tx.exec();
+                        tx = null;
+                        result = results === null
+                            ? { success: false, error: 'Transaction aborted: a watched key changed' }
+                            : { success: true, results };
+                        break;
+                    }
+                    case 'DISCARD':
+                        if (!tx) throw new Error('DISCARD without MULTI');
+                        tx.discard();
+                        tx = null;
+                        result = { success: true };
+                        break;
+                    default:
+                        if (tx) {
+                            tx.queue.push(() => this.batchOp(op));
+                            result = 'QUEUED';
+                        } else {
+                            result = this.batchOp(op);
+                        }
+                }
+                results.push({ ...op, result });
+            }
+            
+            const totalTime = this.clock.monotonic() - startTime;
+            return {
+                success: true,
+                results,
+                totalTime: totalTime.toFixed(2),
+                opsPerformed: operations.length
+            };
+        } catch (e) {
+            return {
+                success: false,
+                error: e.message,
+                results
+            };
+        } finally {
+            [tx, watching].forEach(open => open && !open.finished && open.discard());
+        }
+    }
+
+    // One batch() operation; returns its result
+    batchOp(op) {
+        switch (op.op.toUpperCase()) {
+            case 'PUT':
+                return this.put(op.key, op.value, {
+                    ttl: op.ttl,
+                    ifVersion: op.ifVersion,
+                    ifAbsent: op.ifAbsent,
+                    ifExists: op.ifExists
+                });
+            case 'GET':
+                return { success: true, value: this.get(op.key) };
+            case 'DELETE':
+                return this.delete(op.key);
+            case 'EXISTS':
+                return { success: true, exists: this.exists(op.key) };
+            case 'EXPIRE':
+                return { success: this.expire(op.key, op.ttl) };
+            case 'PERSIST':
+                return { success: this.persist(op.key) };
+            case 'TTL':
+                return { success: true, value: this.ttl(op.key) };
+            case 'INCR':
+                return { success: true, value: this.incr(op.key) };
+            case 'DECR':
+                return { success: true, value: this.decr(op.key) };
+            case 'INCRBY':
+                return { success: true, value: this.incrBy(op.key, op.increment) };
+            case 'INCRBYFLOAT':
+                return { success: true, value: this.incrByFloat(op.key, op.increment) };
+            case 'HSET':
+                return { success: true, added: this.hset(op.key, op.fields || { [op.field]: op.value }) };
+            case 'HGET':
+                return { success: true, value: this.hget(op.key, op.field) };
+            case 'HGETALL':
+                return { success: true, value: this.hgetall(op.key) };
+            case 'HDEL':
+                return { success: true, removed: this.hdel(op.key, op.fields || [op.field]) };
+            case 'HINCRBY':
+                return { success: true, value: this.hincrby(op.key, op.field, op.increment) };
+            case 'LPUSH':
+                return { success: true, length: this.lpush(op.key, ...(op.values || [op.value])) };
+            case 'RPUSH':
+                return { success: true, length: this.rpush(op.key, ...(op.values || [op.value])) };
+            case 'LPOP':
+                return { success: true, value: this.lpop(op.key, op.count) };
+            case 'RPOP':
+                return { success: true, value: this.rpop(op.key, op.count) };
+            case 'LRANGE':
+                return { success: true, value: this.lrange(op.key, op.start || 0, op.stop === undefined ? -1 : op.stop) };
+            case 'LLEN':
+                return { success: true, length: this.llen(op.key) };
+            case 'LREM':
+                return { success: true, removed: this.lrem(op.key, op.count || 0, op.value) };
+            case 'LTRIM':
+                return { success: true, value: this.ltrim(op.key, op.start, op.stop) };
+            case 'SADD':
+                return { success: true, added: this.sadd(op.key, ...(op.members || [op.member])) };
+            case 'SREM':
+                return { success: true, removed: this.srem(op.key, ...(op.members || [op.member])) };
+            case 'SMEMBERS':
+                return { success: true, value: this.smembers(op.key) };
+            case 'SISMEMBER':
+                return { success: true, value: this.sismember(op.key, op.member) };
+            case 'SCARD':
+                return { success: true, value: this.scard(op.key) };
+            case 'SUNION':
+                return { success: true, value: this.sunion(...op.keys) };
+            case 'SINTER':
+                return { success: true, value: this.sinter(...op.keys) };
+            case 'SDIFF':
+                return { success: true, value: this.sdiff(...op.keys) };
+            case 'ZADD':
+                return { success: true, added: op.members ? this.zadd(op.key, op.members) : this.zadd(op.key, op.score, op.member) };
+            case 'ZINCRBY':
+                return { success: true, value: this.zincrby(op.key, op.increment, op.member) };
+            case 'ZRANGE':
+                return { success: true, value: this.zrange(op.key, op.start || 0, op.stop === undefined ? -1 : op.stop, op) };
+            case 'ZRANGEBYSCORE':
+                return { success: true, value: this.zrangebyscore(op.key, op.min, op.max, op) };
+            case 'ZRANK':
+                return { success: true, value: this.zrank(op.key, op.member) };
+            case 'ZSCORE':
+                return { success: true, value: this.zscore(op.key, op.member) };
+            case 'ZREM':
+                return { success: true, removed: this.zrem(op.key, ...(op.members || [op.member])) };
+            default:
+                return { success: false, error: 'Unknown operation' };
+        }
+    }
+
+    // ========================================
+    // TRANSACTIONS
+    // ========================================
+
+    // MULTI: returns a Transaction to queue commands on
+    multi() {
+        return new Transaction(this);
+    }
+
+    // WATCH: returns a Transaction whose exec() returns null if any key is written first
+    watch(...keys) {
+        return this.multi().watch(...keys);
+    }
+
+    /**
+     * Queues commands with `fn(tx)` and then executes them as one
+     * transaction. `fn` may be async; nothing is applied until it settles.
+     * If `fn` throws or rejects, the transaction is discarded.
+     */
+    transaction(fn) {
+        const tx = this.multi();
+        const abandon = (e) => {
+            if (!tx.finished) tx.discard();
+            throw e;
+        };
+
+        let result;
+        try {
+            result = when(fn(tx), () => tx.exec());
+        } catch (e) {
+            abandon(e);
+        }
+        return (result && typeof result.then === 'function') ? result.catch(abandon) : result;
+    }
+
+    /**
+     * Runs queued commands with their WAL records held back, then logs them
+     * as a single TX record. If any command throws, every key it touched
+     * is restored and the error is rethrown.
+     */
+    execTransaction(queue) {
+        if (this.openTransaction) {
+            throw new Error('Transactions can not be nested');
+        }
+
+        const tx = { records: [], undo: new Map(), history: new Map(), pushes: new Set(), events: [] };
+        this.openTransaction = tx;
+        let results;
+        try {
+            results = queue.map(command => command());
+        } catch (e) {
+            this.openTransaction = null;
+            this.rollback(tx);
+            throw e;
+        }
+        this.openTransaction = null;
+
+        if (tx.records.length > 0) {
+            this.logWrite('TX', undefined, undefined, { ops: tx.records });
+        }
+        tx.events.forEach(event => this.dispatch(event));
+        tx.pushes.forEach(key => this.serveBlockedPops(key));
+        this.maybeCheckpoint();
+        return results;
+    }
+
+    // Flags transactions watching the key; CLEAR touches every key
+    touchWatched(op, key) {
+        this.watchers.forEach(tx => {
+            if (op === 'CLEAR' || tx.watched.has(key)) {
+                tx.changed = true;
+            }
+        });
+    }
+
+    // Keeps a copy of the key's entry from before the transaction first touched it
+    journal(key) {
+        const tx = this.openTransaction;
+        if (key === undefined || tx.undo.has(key)) return;
+        const entry = this.store.get(key);
+        tx.undo.set(key, entry ? Collections.revive(cloneEntry(entry)) : null);
+        tx.history.set(key, this.versions.has(key) ? this.versions.get(key).slice() : null);
+    }
+
+    rollback(tx) {
+        tx.history.forEach((versions, key) => {
+            if (versions) {
+                this.versions.set(key, versions);
+            } else {
+                this.versions.delete(key);
+            }
+        });
+        tx.undo.forEach((entry, key) => {
+            if (entry) {
+                this.store.set(key, entry);
+                if (entry.expiry) {
+                    this.scheduleExpiry(key, entry);
+                }
+            } else {
+                this.store.delete(key);
+            }
+            if (entry && entry.encrypted) {
+                this.encryptedKeys.add(key);
+            } else {
+                this.encryptedKeys.delete(key);
+            }
+            this.cache.delete(key);
+        });
+    }
+
+    // ========================================
+    // VERSION HISTORY
+    // ========================================
+    //
+    // When a put replaces a value, or a key is deleted or expires, the old
+    // entry is kept as an earlier version (a deletion as a version with no
+    // entry). Collections changed by their commands keep no history. Old
+    // versions live in memory and the checkpoint metadata; the WAL covers
+    // them in between. Count limits apply on every write, age limits when
+    // a checkpoint compacts the log.
+
+    /**
+     * Sets how many old versions to keep per key (`maxVersions`, 0 = none)
+     * and for how long (`maxAge` in ms, 0 = no limit). With `match`, the
+     * limits only apply to keys matching that glob; the first matching
+     * rule wins over the defaults.
+     */
+    configureHistory({ maxVersions, maxAge, match } = {}) {
+        const retention = this.historyRetention;
+        if (match === undefined) {
+            retention.maxVersions = maxVersions === undefined ? retention.maxVersions : maxVersions;
+            retention.maxAge = maxAge === undefined ? retention.maxAge : maxAge;
+            return;
+        }
+        retention.rules = retention.rules.filter(rule => rule.match !== match);
+        retention.rules.push({
+            match,
+            regex: globToRegex(match),
+            maxVersions: maxVersions || 0,
+            maxAge: maxAge || 0
+        });
+    }
+
+    retentionFor(key) {
+        return this.historyRetention.rules.find(rule => rule.regex.test(key)) || this.historyRetention;
+    }
+
+    // Keeps the key's entry as an old version before a write replaces it;
+    // `deletedAt` also records the key's deletion at that time
+    archive(key, deletedAt) {
+        const current = this.store.get(key);
+        const { maxVersions } = this.retentionFor(key);
+        if (!current || maxVersions === 0 || Collections.is(current.type)) return;
+
+        const versions = this.versions.get(key) || [];
+        const version = current.version || 1;
+        versions.push({ version, timestamp: current.timestamp, entry: current });
+        if (deletedAt !== undefined) {
+            versions.push({ version: version + 1, timestamp: deletedAt, entry: null });
+        }
+        if (versions.length > maxVersions) {
+            versions.splice(0, versions.length - maxVersions);
+        }
+        this.versions.set(key, versions);
+    }
+
+    // Drops versions past their rule's count limit, or replaced longer than maxAge ago
+    collectVersions() {
+        const now = this.clock.now();
+        this.versions.forEach((versions, key) => {
+            const { maxVersions, maxAge } = this.retentionFor(key);
+            const current = this.store.get(key);
+            const replacedAt = (index) => index + 1 < versions.length
+                ? versions[index + 1].timestamp
+                : (current ? current.timestamp : versions[index].timestamp);
+            let kept = maxAge > 0 ? versions.filter((version, index) => now - replacedAt(index) <= maxAge) : versions;
+            kept = kept.slice(Math.max(0, kept.length - maxVersions));
+            if (kept.length === 0) {
+                this.versions.delete(key);
+            } else {
+                this.versions.set(key, kept);
+            }
+        });
+    }
+
+    // Every version still known, oldest first; the live entry comes last
+    versionList(key) {
+        const versions = (this.versions.get(key) || []).slice();
+        const current = this.liveEntry(key);
+        if (current) {
+            versions.push({ version: current.version || 1, timestamp: current.timestamp, entry: current });
+        }
+        return versions;
+    }
+
+    // The version numbered `version`, or else the one in effect at `asOf`
+    findVersion(key, version, asOf) {
+        const versions = this.versionList(key);
+        if (version !== undefined) {
+            return versions.find(candidate => candidate.version === version) || null;
+        }
+        const at = asOf instanceof Date ? asOf.getTime() : asOf;
+        const found = versions.filter(candidate => candidate.timestamp <= at).pop();
+        if (!found || (found.entry && found.entry.expiry && found.entry.expiry <= at)) {
+            return null;
+        }
+        return found;
+    }
+
+    getVersioned(key, { version, asOf }) {
+        const start = this.clock.monotonic();
+        this.stats.getOps++;
+        const found = this.findVersion(key, version, asOf);
+        this.recordStats('GET', this.clock.monotonic() - start);
+        return found && found.entry ? this.processValue(found.entry.value, found.entry) : null;
+    }
+
+    /**
+     * Lists the key's versions, oldest first:
+     * { version, timestamp, type, deleted, current }.
+     */
+    history(key) {
+        const current = this.liveEntry(key);
+        return this.versionList(key).map(({ version, timestamp, entry }) => ({
+            version,
+            timestamp,
+            type: entry ? this.valueType(entry) : null,
+            deleted: !entry,
+            current: Boolean(entry) && entry === current
+        }));
+    }
+
+    /**
+     * Writes an old version back as the key's newest one, with its TTL if
+     * that hasn't passed. Reverting to a deleted version deletes the key.
+     */
+    revert(key, version) {
+        const found = this.findVersion(key, version);
+        if (!found) {
+            return { success: false, error: `Version ${version} of '${key}' not found` };
+        }
+        if (!found.entry) {
+            this.delete(key);
+            return { success: true, version: 0 };
+        }
+
+        const now = this.clock.now();
+        const entry = { ...cloneEntry(found.entry), timestamp: now, version: this.nextVersion(key) };
+        if (entry.expiry && entry.expiry <= now) {
+            delete entry.expiry;
+        }
+        this.reserveMemory(key, entrySize(key, entry));
+        this.putEntry(key, Collections.revive(entry));
+        return { success: true, version: entry.version };
+    }
+
+    // ========================================
+    // COUNTERS
+    // ========================================
+
+    incr(key) {
+        return this.incrBy(key, 1);
+    }
+
+    decr(key) {
+        return this.incrBy(key, -1);
+    }
+
+    incrBy(key, increment) {
+        if (!Number.isInteger(increment)) {
+            throw new Error('Increment must be an integer');
+        }
+        return this.addToNumber(key, increment, true);
+    }
+
+    incrByFloat(key, increment) {
+        if (!Number.isFinite(increment)) {
+            throw new Error('Increment must be a finite number');
+        }
+        return this.addToNumber(key, increment, false);
+    }
+
+    /**
+     * Adds to a number or numeric string (missing keys start at 0) and
+     * stores the result as a number, keeping the key's expiry. Runs
+     * synchronously, so no other write can land between read and write.
+     */
+    addToNumber(key, increment, integer) {
+        const start = this.clock.monotonic();
+        if (!key) {
+            throw new Error('Invalid key');
+        }
+
+        const entry = this.liveEntry(key);
+        let current = 0;
+        if (entry) {
+            if (Collections.is(entry.type)) {
+                throw new Error(WRONGTYPE);
+            }
+            if (this.isOpaque(entry)) {
+                throw new Error('Cannot increment an encrypted or deflate/gzip-compressed value');
+            }
+            current = this.processValue(entry.value, entry);
+            if (typeof current === 'string' && current.trim() !== '') {
+                current = Number(current);
+            }
+            if (typeof current !== 'number' || !Number.isFinite(current)) {
+                throw new Error('Value is not a number');
+            }
+            if (integer && !Number.isInteger(current)) {
+                throw new Error('Value is not an integer');
+            }
+        }
+
+        const value = current + increment;
+        if (integer ? !Number.isSafeInteger(value) : !Number.isFinite(value)) {
+            throw new Error('Increment would overflow');
+        }
+
+        const next = {
+            value: ValueTypes.encode(value, 'number'),
+            type: 'number',
+            timestamp: this.clock.now(),
+            encrypted: false,
+            compressed: false,
+            version: this.nextVersion(key)
+        };
+        if (entry && entry.expiry) {
+            next.expiry = entry.expiry;
+        }
+
+        this.reserveMemory(key, entrySize(key, next));
+        this.logWrite('PUT', key, next);
+        this.archive(key);
+        this.store.set(key, next);
+        this.encryptedKeys.delete(key);
+        if (next.expiry) {
+            this.scheduleExpiry(key, next);
+        }
+        this.notify('set', key, { version: next.version });
+        this.updateCache(key, next);
+        this.markDirty(key);
+
+        this.recordStats('INCR', this.clock.monotonic() - start);
+        return value;
+    }
+
+    // ========================================
+    // EXPIRY
+    // ========================================
+    //
+    // Active: one timer pops due deadlines off a min-heap, expiring at
+    // most EXPIRE_BATCH keys per tick. Lazy: reads expire a key whose
+    // deadline has passed before the timer got to it.
+
+    // Sets the key's TTL in seconds; 0 or less deletes it. False if the key doesn't exist.
+    expire(key, seconds) {
+        return this.pexpire(key, seconds * 1000);
+    }
+
+    pexpire(key, milliseconds) {
+        if (typeof milliseconds !== 'number' || Number.isNaN(milliseconds)) {
+            throw new Error('Invalid TTL');
+        }
+        return this.setExpiry(key, this.clock.now() + milliseconds, 'EXPIRE');
+    }
+
+    // Expires the key at a Date or a timestamp in milliseconds
+    expireAt(key, time) {
+        const at = time instanceof Date ? time.getTime() : time;
+        if (typeof at !== 'number' || Number.isNaN(at)) {
+            throw new Error('Invalid expiry time');
+        }
+        return this.setExpiry(key, at, 'EXPIREAT');
+    }
+
+    // Removes the key's TTL. False if the key doesn't exist or has no TTL.
+    persist(key) {
+        return this.setExpiry(key, null, 'PERSIST');
+    }
+
+    // Seconds left, rounded up; -1 if the key has no TTL, -2 if it doesn't exist
+    ttl(key) {
+        const left = this.pttl(key);
+        return left < 0 ? left : Math.ceil(left / 1000);
+    }
+
+    pttl(key) {
+        const entry = this.liveEntry(key);
+        if (!entry) return -2;
+        if (!entry.expiry) return -1;
+        return Math.max(0, entry.expiry - this.clock.now());
+    }
+
+    setExpiry(key, expiry, command) {
+        const entry = this.liveEntry(key);
+        if (!entry) return false;
+        if (expiry === null && !entry.expiry) return false;
+        if (expiry !== null && expiry <= this.clock.now()) {
+            this.expireKey(key);
+            return true;
+        }
+
+        const record = this.logWrite('EXPIRE', key, undefined, { expiry });
+        this.applyExpiry(entry, record);
+        this.markDirty(key);
+        this.notify('set', key, { version: entry.version, command });
+        return true;
+    }
+
+    // Shared by live writes and replay; the entry is changed in place
+    applyExpiry(entry, record) {
+        if (record.expiry === null) {
+            delete entry.expiry;
+        } else {
+            entry.expiry = record.expiry;
+            this.scheduleExpiry(record.key, entry);
+        }
+        entry.seq = record.seq;
+        entry.version = (entry.version || 1) + 1;
+        // Set again so volatile eviction policies see the new TTL
+        this.store.set(record.key, entry);
+        this.dirtyKeys.add(record.key);
+    }
+
+    // Queues the entry's deadline; the store is rescanned once stale deadlines pile up
+    scheduleExpiry(key, entry) {
+        this.expiries.push(key, entry.expiry);
+        if (this.expiries.size > 2 * this.store.size + 64) {
+            this.rebuildExpiries();
+        } else {
+            this.armExpiryTimer();
+        }
+    }
+
+    rebuildExpiries() {
+        this.expiries.clear();
+        this.store.forEach((entry, key) => {
+            if (entry.expiry) {
+                this.expiries.push(key, entry.expiry);
+            }
+        });
+        this.armExpiryTimer();
+    }
+
+    // Points the single expiry timer at the earliest deadline
+    armExpiryTimer() {
+        const next = this.expiries.peek();
+        if (this.expiryTimer !== null) {
+            if (next && this.expiryTimerAt <= next.at) return;
+            this.clock.clearTimer(this.expiryTimer);
+            this.expiryTimer = null;
+        }
+        if (!next || this.loading) return;
+
+        this.expiryTimerAt = next.at;
+        this.expiryTimer = this.startTimer(() => {
+            this.expiryTimer = null;
+            this.activeExpire();
+        }, Math.min(Math.max(0, next.at - this.clock.now()), MAX_TIMER_DELAY));
+    }
+
+    stopExpiryTimer() {
+        if (this.expiryTimer !== null) {
+            this.clock.clearTimer(this.expiryTimer);
+            this.expiryTimer = null;
+        }
+    }
+
+    activeExpire() {
+        const now = this.clock.now();
+        let budget = EXPIRE_BATCH;
+        while (budget > 0 && this.expiries.size > 0 && this.expiries.peek().at <= now) {
+            const { key, at } = this.expiries.pop();
+            const entry = this.store.get(key);
+            if (entry && entry.expiry === at) {
+                this.expireKey(key);
+                budget--;
+            }
+        }
+        this.armExpiryTimer();
+    }
+
+    // ========================================
+    // DATA TYPES
+    // ========================================
+
+    // Returns the entry, expiring it first if its TTL has passed
+    liveEntry(key) {
+        const entry = this.store.get(key);
+        if (!entry) return null;
+        if (entry.expiry && entry.expiry < this.clock.now()) {
+            this.expireKey(key);
+            return null;
+        }
+        this.store.track(key, entry);
+        return entry;
+    }
+
+    // The key's structure if it holds the given collection type, else null
+    collection(key, type) {
+        const entry = this.liveEntry(key);
+        if (!entry) return null;
+        if (entry.type !== type) {
+            throw new Error(WRONGTYPE);
+        }
+        return entry.value;
+    }
+
+    /**
+     * Logs a collection command to the WAL, then applies it. Callers
+     * validate first, so a logged command never fails on replay.
+     */
+    runCommand(op, key, args) {
+        const start = this.clock.monotonic();
+        if (this.memory.maxMemory > 0 && Collections.commands[op].grows) {
+            // The structure grows by about the size of the new data
+            this.reserveMemory(key, this.store.sizeOf(key) + 2 * JSON.stringify(args).length);
+        }
+        const record = this.logWrite(op, key, undefined, { args });
+        const result = this.applyCommand(record);
+        this.maybeCheckpoint();
+        this.recordStats(op, this.clock.monotonic() - start);
+        return result;
+    }
+
+    // Shared by live writes and replay; empty collections are removed
+    applyCommand(record) {
+        const command = Collections.commands[record.op];
+        const version = this.nextVersion(record.key);
+        let entry = this.store.get(record.key);
+        if (!entry || entry.type !== command.type) {
+            entry = {
+                value: new Collections.types[command.type](),
+                type: command.type,
+                timestamp: record.timestamp,
+                encrypted: false,
+                compressed: false
+            };
+            this.store.set(record.key, entry);
+            this.encryptedKeys.delete(record.key);
+        }
+
+        const result = command.run(entry.value, record.args);
+        entry.seq = record.seq;
+        entry.version = version;
+        entry.timestamp = record.timestamp;
+        // The structure changed in place, so its cached size is stale
+        this.cache.delete(record.key);
+
+        if (entry.value.size === 0) {
+            this.retireVersion(record.key, entry);
+            this.store.delete(record.key);
+            this.notify('delete', record.key, { command: record.op });
+        } else {
+            this.store.set(record.key, entry); // re-measured lazily
+            this.notify('set', record.key, { version, command: record.op });
+        }
+        this.dirtyKeys.add(record.key);
+        return result;
+    }
+
+    // Replaces the key with a collection built from a plain value (used by import)
+    putCollection(key, type, value, ttl = null) {
+        const entry = {
+            value: Collections.types[type].from(value),
+            type,
+            timestamp: this.clock.now(),
+            encrypted: false,
+            compressed: false,
+            version: this.nextVersion(key)
+        };
+        if (ttl && ttl > 0) {
+            entry.expiry = this.clock.now() + (ttl * 1000);
+        }
+
+        this.reserveMemory(key, entrySize(key, entry));
+        this.putEntry(key, entry);
+        return { success: true };
+    }
+
+    // Writes a ready-made entry (a collection as its live structure) through the WAL
+    putEntry(key, entry) {
+        // The log gets a serialized copy; the store keeps the live structure
+        const logged = Collections.is(entry.type) ? { ...entry, value: entry.value.toJSON() } : { ...entry };
+        const record = this.logWrite('PUT', key, logged);
+        entry.seq = record.seq;
+
+        if (entry.expiry) {
+            this.scheduleExpiry(key, entry);
+        }
+
+        this.archive(key);
+        this.store.set(key, entry);
+        if (entry.encrypted) {
+            this.encryptedKeys.add(key);
+        } else {
+            this.encryptedKeys.delete(key);
+        }
+        this.cache.delete(key);
+        this.markDirty(key);
+        this.notify('set', key, { version: entry.version });
+    }
+
+    // ========================================
+    // HASH OPERATIONS
+    // ========================================
+
+    /**
+     * Sets one field (`hset(key, field, value)`) or several
+     * (`hset(key, { field: value })`). Returns the number of new fields.
+     * Field values keep their type like put() values.
+     */
+    hset(key, field, value) {
+        const fields = field !== null && typeof field === 'object' ? field : { [field]: value };
+        const names = Object.keys(fields);
+        if (!key || names.length === 0) {
+            throw new Error('Invalid key or fields');
+        }
+        this.collection(key, 'hash');
+
+        const encoded = {};
+        names.forEach(name => {
+            if (fields[name] === undefined) {
+                throw new Error(`Invalid value for field '${name}'`);
+            }
+            ValueTypes.of(fields[name]);
+            encoded[name] = ValueTypes.toJSON(fields[name]);
+        });
+        return this.runCommand('HSET', key, { fields: encoded });
+    }
+
+    hget(key, field) {
+        const start = this.clock.monotonic();
+        const hash = this.collection(key, 'hash');
+        const value = hash && hash.fields.has(field) ? ValueTypes.fromJSON(hash.fields.get(field)) : null;
+        this.recordStats('HGET', this.clock.monotonic() - start);
+        return value;
+    }
+
+    // Accepts fields as an array or as arguments; missing fields are null
+    hmget(key, ...fields) {
+        const names = Array.isArray(fields[0]) ? fields[0] : fields;
+        return names.map(field => this.hget(key, field));
+    }
+
+    hgetall(key) {
+        const hash = this.collection(key, 'hash');
+        return hash ? hash.toValue() : {};
+    }
+
+    // Returns the number of fields removed; the key goes once it's empty
+    hdel(key, ...fields) {
+        const names = Array.isArray(fields[0]) ? fields[0] : fields;
+        const hash = this.collection(key, 'hash');
+        if (!hash || !names.some(field => hash.fields.has(field))) {
+            return 0;
+        }
+        return this.runCommand('HDEL', key, { fields: names.map(String) });
+    }
+
+    hexists(key, field) {
+        const hash = this.collection(key, 'hash');
+        return Boolean(hash && hash.fields.has(field));
+    }
+
+    hkeys(key) {
+        const hash = this.collection(key, 'hash');
+        return hash ? Array.from(hash.fields.keys()) : [];
+    }
+
+    hlen(key) {
+        const hash = this.collection(key, 'hash');
+        return hash ? hash.size : 0;
+    }
+
+    // Adds an integer to a field (missing fields count as 0) and returns the result
+    hincrby(key, field, increment = 1) {
+        if (!Number.isInteger(increment)) {
+            throw new Error('Increment must be an integer');
+        }
+        const hash = this.collection(key, 'hash');
+        if (hash && hash.fields.has(field) && !Number.isInteger(hash.fields.get(field))) {
+            throw new Error(`Hash field '${field}' is not an integer`);
+        }
+        return this.runCommand('HINCRBY', key, { field: String(field), increment });
+    }
+
+    // ========================================
+    // LIST OPERATIONS
+    // ========================================
+
+    // Values keep their type like put() values; returns the new length
+    lpush(key, ...values) {
+        return this.pushList('LPUSH', key, values);
+    }
+
+    rpush(key, ...values) {
+        return this.pushList('RPUSH', key, values);
+    }
+
+    pushList(op, key, values) {
+        if (!key || values.length === 0 || values.some(value => value === undefined)) {
+            throw new Error('Invalid key or values');
+        }
+        this.collection(key, 'list');
+        values.forEach(value => ValueTypes.of(value));
+
+        const length = this.runCommand(op, key, { values: values.map(value => ValueTypes.toJSON(value)) });
+        if (this.openTransaction) {
+            this.openTransaction.pushes.add(key);
+        } else {
+            this.serveBlockedPops(key);
+        }
+        return length;
+    }
+
+    /**
+     * Removes and returns the head value, or null if the list is empty.
+     * With a count, returns an array of up to count values.
+     */
+    lpop(key, count) {
+        return this.popList('LPOP', key, count);
+    }
+
+    rpop(key, count) {
+        return this.popList('RPOP', key, count);
+    }
+
+    popList(op, key, count) {
+        if (count !== undefined && !(Number.isInteger(count) && count >= 0)) {
+            throw new Error('Count must be a non-negative integer');
+        }
+        const list = this.collection(key, 'list');
+        if (!list || count === 0) {
+            return count === undefined ? null : [];
+        }
+        const popped = this.runCommand(op, key, { count: count === undefined ? 1 : count });
+        const values = ValueTypes.fromJSON(popped);
+        return count === undefined ? values[0] : values;
+    }
+
+    // Inclusive range; negative indexes count from the tail (-1 is the last)
+    lrange(key, start = 0, stop = -1) {
+        const begin = this.clock.monotonic();
+        const list = this.collection(key, 'list');
+        const values = list ? ValueTypes.fromJSON(list.range(start, stop)) : [];
+        this.recordStats('LRANGE', this.clock.monotonic() - begin);
+        return values;
+    }
+
+    llen(key) {
+        const list = this.collection(key, 'list');
+        return list ? list.size : 0;
+    }
+
+    /**
+     * Removes values equal to `value`: the first `count` from the head
+     * when count > 0, from the tail when count < 0, all when 0.
+     */
+    lrem(key, count, value) {
+        if (!Number.isInteger(count)) {
+            throw new Error('Count must be an integer');
+        }
+        const list = this.collection(key, 'list');
+        if (!list || value === undefined) return 0;
+        return this.runCommand('LREM', key, { count, value: ValueTypes.toJSON(value) });
+    }
+
+    // Keeps only the inclusive range; an empty result removes the key
+    ltrim(key, start, stop) {
+        if (!Number.isInteger(start) || !Number.isInteger(stop)) {
+            throw new Error('Start and stop must be integers');
+        }
+        const list = this.collection(key, 'list');
+        if (list) {
+            this.runCommand('LTRIM', key, { start, stop });
+        }
+        return true;
+    }
+
+    /**
+     * Pops from the head of the first non-empty list among `keys`,
+     * waiting for a push if they are all empty. Resolves to
+     * [key, value], or null once `timeout` seconds pass (0 waits forever).
+     */
+    blpop(keys, timeout = 0) {
+        return this.blockingPop('LPOP', keys, timeout);
+    }
+
+    brpop(keys, timeout = 0) {
+        return this.blockingPop('RPOP', keys, timeout);
+    }
+
+    blockingPop(op, keys, timeout) {
+        keys = Array.isArray(keys) ? keys : [keys];
+        try {
+            for (const key of keys) {
+                if (this.llen(key) > 0) {
+                    return Promise.resolve([key, this.popList(op, key)]);
+                }
+            }
+        } catch (e) {
+            return Promise.reject(e);
+        }
+
+        return new Promise(resolve => {
+            const waiter = { op, keys, resolve, timer: null };
+            if (timeout > 0) {
+                waiter.timer = this.clock.setTimer(() => {
+                    this.removeBlockedPop(waiter);
+                    resolve(null);
+                }, timeout * 1000);
+            }
+            keys.forEach(key => {
+                if (!this.blockedPops.has(key)) this.blockedPops.set(key, []);
+                this.blockedPops.get(key).push(waiter);
+            });
+        });
+    }
+
+    // Hands pushed values to waiting blpop/brpop callers, oldest first
+    serveBlockedPops(key) {
+        const waiters = this.blockedPops.get(key);
+        while (waiters && waiters.length > 0 && this.llen(key) > 0) {
+            const waiter = waiters[0];
+            this.removeBlockedPop(waiter);
+            waiter.resolve([key, this.popList(waiter.op, key)]);
+        }
+    }
+
+    removeBlockedPop(waiter) {
+        if (waiter.timer !== null) {
+            this.clock.clearTimer(waiter.timer);
+        }
+        waiter.keys.forEach(key => {
+            const waiters = this.blockedPops.get(key);
+            if (!waiters) return;
+            const index = waiters.indexOf(waiter);
+            if (index >= 0) waiters.splice(index, 1);
+            if (waiters.length === 0) this.blockedPops.delete(key);
+        });
+    }
+
+    // ========================================
+    // SET OPERATIONS
+    // ========================================
+
+    // Members keep their type; equal members are stored once. Returns how many were new
+    sadd(key, ...members) {
+        if (!key || members.length === 0 || members.some(member => member === undefined)) {
+            throw new Error('Invalid key or members');
+        }
+        const set = this.collection(key, 'set');
+        members.forEach(member => ValueTypes.of(member));
+
+        const trees = members.map(member => ValueTypes.toJSON(member));
+        if (set && trees.every(tree => set.has(tree))) return 0;
+        return this.runCommand('SADD', key, { members: trees });
+    }
+
+    srem(key, ...members) {
+        const set = this.collection(key, 'set');
+        const trees = members.filter(member => member !== undefined).map(member => ValueTypes.toJSON(member));
+        if (!set || !trees.some(tree => set.has(tree))) return 0;
+        return this.runCommand('SREM', key, { members: trees });
+    }
+
+    smembers(key) {
+        const begin = this.clock.monotonic();
+        const set = this.collection(key, 'set');
+        const members = set ? set.toValue() : [];
+        this.recordStats('SMEMBERS', this.clock.monotonic() - begin);
+        return members;
+    }
+
+    sismember(key, member) {
+        const set = this.collection(key, 'set');
+        return Boolean(set && member !== undefined && set.has(ValueTypes.toJSON(member)));
+    }
+
+    scard(key) {
+        const set = this.collection(key, 'set');
+        return set ? set.size : 0;
+    }
+
+    // Members of every given set; missing keys count as empty sets
+    sunion(...keys) {
+        const union = new SetValue();
+        keys.forEach(key => {
+            const set = this.collection(key, 'set');
+            if (set) union.add(set.toJSON());
+        });
+        return union.toValue();
+    }
+
+    sinter(...keys) {
+        const sets = keys.map(key => this.collection(key, 'set'));
+        if (sets.length === 0 || sets.some(set => !set)) return [];
+        const [smallest, ...others] = sets.slice().sort((a, b) => a.size - b.size);
+        return ValueTypes.fromJSON(smallest.toJSON().filter(member => others.every(set => set.has(member))));
+    }
+
+    // Members of the first set that are in none of the others
+    sdiff(first, ...others) {
+        const set = this.collection(first, 'set');
+        if (!set) return [];
+        const rest = others.map(key => this.collection(key, 'set')).filter(Boolean);
+        return ValueTypes.fromJSON(set.toJSON().filter(member => !rest.some(other => other.has(member))));
+    }
+
+    // ========================================
+    // SORTED SET OPERATIONS
+    // ========================================
+
+    /**
+     * Adds members or updates their scores: `zadd(key, score, member)` or
+     * `zadd(key, { member: score, ... })`. Returns how many were new.
+     */
+    zadd(key, score, member) {
+        const pairs = score !== null && typeof score === 'object'
+            ? Object.entries(score).map(([name, value]) => [value, name])
+            : [[score, member]];
+        if (!key || pairs.length === 0) {
+            throw new Error('Invalid key or members');
+        }
+        pairs.forEach(([value, name]) => {
+            if (!Number.isFinite(value)) {
+                throw new Error('Score must be a finite number');
+            }
+            if (name === undefined) {
+                throw new Error('Invalid member');
+            }
+            ValueTypes.of(name);
+        });
+        this.collection(key, 'zset');
+        return this.runCommand('ZADD', key, { pairs: pairs.map(([value, name]) => [value, ValueTypes.toJSON(name)]) });
+    }
+
+    // Adds to a member's score (missing members start at 0) and returns the new score
+    zincrby(key, increment, member) {
+        if (!Number.isFinite(increment)) {
+            throw new Error('Increment must be a finite number');
+        }
+        if (member === undefined) {
+            throw new Error('Invalid member');
+        }
+        ValueTypes.of(member);
+        const zset = this.collection(key, 'zset');
+        const current = zset ? zset.score(ValueTypes.toJSON(member)) || 0 : 0;
+        if (!Number.isFinite(current + increment)) {
+            throw new Error('Score must be a finite number');
+        }
+        return this.runCommand('ZINCRBY', key, { member: ValueTypes.toJSON(member), increment });
+    }
+
+    zrem(key, ...members) {
+        const zset = this.collection(key, 'zset');
+        const trees = members.filter(member => member !== undefined).map(member => ValueTypes.toJSON(member));
+        if (!zset || !trees.some(tree => zset.score(tree) !== null)) return 0;
+        return this.runCommand('ZREM', key, { members: trees });
+    }
+
+    // Members by rank, lowest score first; `{ withScores: true }` returns { member, score }
+    zrange(key, start = 0, stop = -1, options = {}) {
+        const begin = this.clock.monotonic();
+        const zset = this.collection(key, 'zset');
+        const items = zset ? this.zsetItems(zset, zset.range(start, stop), options) : [];
+        this.recordStats('ZRANGE', this.clock.monotonic() - begin);
+        return items;
+    }
+
+    /**
+     * Members with min <= score <= max. Bounds may be '-inf'/'+inf', and a
+     * '(' prefix makes them exclusive, as in Redis. Options: withScores,
+     * offset and count.
+     */
+    zrangebyscore(key, min, max, options = {}) {
+        const begin = this.clock.monotonic();
+        const parse = (bound) => {
+            const text = String(bound);
+            const exclusive = text.startsWith('(');
+            const number = text.replace(/^\(/, '').replace(/^\+?inf$/i, 'Infinity').replace(/^-inf$/i, '-Infinity');
+            if (isNaN(Number(number))) {
+                throw new Error(`Invalid score bound: ${bound}`);
+            }
+            return [Number(number), exclusive];
+        };
+        const [low, lowExclusive] = parse(min);
+        const [high, highExclusive] = parse(max);
+
+        const zset = this.collection(key, 'zset');
+        let items = zset ? zset.rangeByScore(low, high, lowExclusive, highExclusive) : [];
+        if (options.offset || options.count !== undefined) {
+            const offset = options.offset || 0;
+            items = items.slice(offset, options.count === undefined || options.count < 0 ? undefined : offset + options.count);
+        }
+        const result = zset ? this.zsetItems(zset, items, options) : [];
+        this.recordStats('ZRANGEBYSCORE', this.clock.monotonic() - begin);
+        return result;
+    }
+
+    zsetItems(zset, items, options) {
+        return items.map(({ score, id }) => {
+            const member = ValueTypes.fromJSON(zset.members.get(id));
+            return options.withScores ? { member, score } : member;
+        });
+    }
+
+    // 0-based position by ascending score, or null
+    zrank(key, member) {
+        const zset = this.collection(key, 'zset');
+        return zset && member !== undefined ? zset.rank(ValueTypes.toJSON(member)) : null;
+    }
+
+    zscore(key, member) {
+        const zset = this.collection(key, 'zset');
+        return zset && member !== undefined ? zset.score(ValueTypes.toJSON(member)) : null;
+    }
+
+    zcard(key) {
+        const zset = this.collection(key, 'zset');
+        return zset ? zset.size : 0;
+    }
+
+    // ========================================
+    // ENCRYPTION OPERATIONS
+    // ========================================
+
+    putEncrypted(key, value, ttl = null) {
+        return this.put(key, value, { encrypted: true, ttl });
+    }
+
+    getDecrypted(key) {
+        return Promise.resolve(this.get(key));
+    }
+
+    // ========================================
+    // KEY MANAGEMENT
+    // ========================================
+
+    /**
+     * Unlocks encrypted values with the master passphrase. The first
+     * unlock creates the keyring and its 'default' key. Values written
+     * by versions without a keyring are re-encrypted under the active key.
+     */
+    unlock(passphrase) {
+        return this.loaded.then(() => this.keyring.unlock(passphrase)).then(() => {
+            if (this.keyring.activeId) return;
+            if (this.keyring.has('default')) {
+                this.useKey('default');
+                return;
+            }
+            return this.createKey('default');
+        }).then(() => {
+            this.lockError = null;
+            return this.migrateLegacyEntries(passphrase);
+        });
+    }
+
+    // Forgets every unwrapped key; encrypted reads and writes fail until unlock()
+    lock() {
+        this.keyring.lock();
+    }
+
+    isLocked() {
+        return this.keyring.locked;
+    }
+
+    // Kept for 2.0 callers
+    setPassphrase(passphrase) {
+        return this.unlock(passphrase);
+    }
+
+    createKey(id) {
+        return this.keyring.createKey(id).then(() => this.saveKeyring());
+    }
+
+    // Selects the key new encrypted values are written with
+    useKey(id) {
+        if (!this.keyring.has(id)) {
+            throw new Error(`Unknown encryption key '${id}'`);
+        }
+        this.keyring.activeId = id;
+        this.saveKeyring();
+    }
+
+    removeKey(id) {
+        const inUse = Array.from(this.store.values()).some(entry => entry.keyId === id);
+        if (inUse) {
+            throw new Error(`Key '${id}' still encrypts entries; rotate them first`);
+        }
+        this.keyring.removeKey(id);
+        this.saveKeyring();
+    }
+
+    keyIds() {
+        return this.keyring.ids();
+    }
+
+    /**
+     * Re-encrypts every entry under `oldId` with `newId` (created if
+     * needed). Works in small batches so the caller's event loop keeps
+     * running; emits 'keyRotation' progress. `newId` becomes the active
+     * key once every entry has been handled; entries that fail to
+     * re-encrypt are listed in `report.failed` and keep `oldId`.
+     */
+    rotateKey(oldId, newId, options = {}) {
+        const batchSize = options.batchSize || 50;
+        const report = { from: oldId, to: newId, rotated: 0, skipped: 0, failed: [] };
+        const failed = new Set();
+
+        // Entries still under oldId, including ones written during the rotation
+        const pending = () => Array.from(this.store.entries())
+            .filter(([key, entry]) => entry.encrypted && entry.keyId === oldId && !failed.has(key))
+            .map(([key]) => key);
+
+        const prepare = this.keyring.has(newId)
+            ? Promise.resolve()
+            : this.createKey(newId);
+
+        return prepare.then(() => {
+            let keys = pending();
+            report.total = keys.length;
+            let done = 0;
+
+            const rotateBatch = (offset) => {
+                if (offset >= keys.length) {
+                    keys = pending();
+                    if (keys.length > 0) {
+                        report.total += keys.length;
+                        return rotateBatch(0);
+                    }
+                    this.useKey(newId);
+                    if (options.removeOld && report.failed.length === 0) {
+                        this.removeKey(oldId);
+                    }
+                    return report;
+                }
+
+                const batch = keys.slice(offset, offset + batchSize);
+                return Promise.all(batch.map(key => this.reencrypt(key, oldId, newId, report)
+                    .catch(e => {
+                        failed.add(key);
+                        report.failed.push({ key, error: e.message });
+                    })))
+                    .then(() => {
+                        done += batch.length;
+                        this.emit('keyRotation', { ...report, done });
+                        // Yield to the real event loop, not this.clock: a FakeClock would stall it
+                        return new Promise(resolve => setTimeout(resolve, 0));
+                    })
+                    .then(() => rotateBatch(offset + batchSize));
+            };
+
+            return rotateBatch(0);
+        });
+    }
+
+    reencrypt(key, oldId, newId, report) {
+        const entry = this.store.get(key);
+        if (!entry || entry.keyId !== oldId) {
+            report.skipped++;
+            return Promise.resolve();
+        }
+
+        return Crypto.decrypt(entry.value, this.keyring.key(oldId))
+            .then(plaintext => Crypto.encrypt(plaintext, this.keyring.key(newId)))
+            .then(ciphertext => {
+                // Written meanwhile: the newer value wins (and is picked up again if still under oldId)
+                if (this.store.get(key) !== entry) {
+                    report.skipped++;
+                    return;
+                }
+                this.replaceEntry(key, { ...entry, value: ciphertext, keyId: newId });
+                report.rotated++;
+            });
+    }
+
+    migrateLegacyEntries(passphrase) {
+        const legacy = Array.from(this.store.entries())
+            .filter(([, entry]) => entry.encrypted && Crypto.isLegacy(entry.value));
+
+        return Promise.all(legacy.map(([key, entry]) => Crypto.decryptLegacy(entry.value, passphrase)
+            .then(plaintext => this.encryptValue(plaintext))
+            .then(({ keyId, ciphertext }) => {
+                if (this.store.get(key) === entry) {
+                    this.replaceEntry(key, { ...entry, value: ciphertext, keyId });
+                }
+            })
+            .catch(e => console.error(`Could not migrate encrypted key '${key}':`, e))));
+    }
+
+    // Rewrites an entry in place (same TTL and timestamp) through the WAL
+    replaceEntry(key, entry) {
+        this.logWrite('PUT', key, entry);
+        this.store.set(key, entry);
+        this.updateCache(key, entry);
+        this.markDirty(key);
+    }
+
+    // The keyring is logged like any other write so it survives a crash
+    saveKeyring() {
+        this.logWrite('KEYRING', undefined, undefined, { keyring: this.keyring.toJSON() });
+        this.maybeCheckpoint();
+    }
+
+    encryptValue(text) {
+        try {
+            const keyId = this.keyring.activeId;
+            if (!keyId) {
+                this.keyring.assertUnlocked();
+                throw new Error('No active encryption key');
+            }
+            return Crypto.encrypt(text, this.keyring.key(keyId))
+                .then(ciphertext => ({ keyId, ciphertext }));
+        } catch (e) {
+            return Promise.reject(e);
+        }
+    }
+
+    decryptValue(payload, keyId) {
+        try {
+            if (!keyId) {
+                this.keyring.assertUnlocked();
+                throw new Error('Encrypted value has no key id; unlock() migrates it');
+            }
+            return Crypto.decrypt(payload, this.keyring.key(keyId));
+        } catch (e) {
+            return Promise.reject(e);
+        }
+    }
+
+    // ========================================
+    // ADVANCED QUERY OPERATIONS
+    // ========================================
+
+    prefixSearch(prefix) {
+        const keys = Array.from(this.store.keys());
+        return keys.filter(k => k.startsWith(prefix));
+    }
+
+    regexSearch(pattern) {
+        const keys = Array.from(this.store.keys());
+        const regex = new RegExp(pattern);
+        return keys.filter(k => regex.test(k));
+    }
+
+    rangeQuery(start, end) {
+        const keys = Array.from(this.store.keys()).sort();
+        return keys.filter(k => k >= start && k <= end);
+    }
+
+    keysBySize(limit = 10) {
+        const entries = Array.from(this.store.entries());
+        return entries
+            .map(([key, entry]) => ({
+                key,
+                size: JSON.stringify(entry.value).length
+            }))
+            .sort((a, b) => b.size - a.size)
+            .slice(0, limit);
+    }
+
+    advancedQuery(type, pattern) {
+        this.queryHistory.push({ type, pattern, timestamp: this.clock.now() });
+        
+        switch (type) {
+            case 'prefix':
+                return this.prefixSearch(pattern);
+            case 'regex':
+                return this.regexSearch(pattern);
+            case 'range':
+                const [start, end] = pattern.split(',');
+                return this.rangeQuery(start, end);
+            case 'size':
+                return this.keysBySize(parseInt(pattern) || 10);
+            case 'index': {
+                // name=value or name=min..max; values are read as JSON where they parse
+                const [name, spec = ''] = pattern.split(/=(.*)/);
+                const parse = (text) => {
+                    try {
+                        return JSON.parse(text);
+                    } catch (e) {
+                        return text;
+                    }
+                };
+                if (!spec.includes('..')) {
+                    return this.findByIndex(name.trim(), parse(spec.trim()));
+                }
+                const [min, max] = spec.split('..').map(bound => bound.trim());
+                return this.findByIndexRange(name.trim(), min ? parse(min) : null, max ? parse(max) : null);
+            }
+            default:
+                return [];
+        }
+    }
+
+    // ========================================
+    // SECONDARY INDEXES
+    // ========================================
+    //
+    // An index maps one field of the values under a key prefix to the
+    // keys holding it. Definitions are logged and checkpointed; contents
+    // are rebuilt from the entries as they load.
+
+    /**
+     * Indexes the field at `path` (dot-separated, through objects, Maps and
+     * hashes; omitted = the whole value) of every key starting with
+     * `prefix`. Array and Set fields are indexed element by element.
+     * Encrypted values are never indexed. Creating an index again with
+     * the same options is a no-op.
+     */
+    createIndex(name, { prefix = '', path = '' } = {}) {
+        const existing = this.store.indexes.get(name);
+        if (existing) {
+            if (existing.prefix === prefix && existing.path === path) return existing.toJSON();
+            throw new Error(`Index '${name}' already exists`);
+        }
+        const index = this.addIndex({ name, prefix, path });
+        this.saveIndexes();
+        return index.toJSON();
+    }
+
+    dropIndex(name) {
+        if (!this.store.indexes.delete(name)) return false;
+        this.saveIndexes();
+        return true;
+    }
+
+    // Each index's definition and how many keys it holds
+    indexes() {
+        return Array.from(this.store.indexes.values(), index => ({
+            ...index.toJSON(),
+            keys: this.lookupIndex(index.name).terms.size
+        }));
+    }
+
+    addIndex(definition) {
+        const index = new SecondaryIndex(definition);
+        this.store.indexes.set(index.name, index);
+        this.store.forEach((entry, key) => index.touch(key));
+        return index;
+    }
+
+    // Makes the indexes match logged or checkpointed definitions
+    syncIndexes(definitions) {
+        const wanted = new Map(definitions.map(definition => [definition.name, definition]));
+        this.store.indexes.forEach((index, name) => {
+            const definition = wanted.get(name);
+            if (!definition || definition.prefix !== index.prefix || definition.path !== index.path) {
+                this.store.indexes.delete(name);
+            }
+        });
+        wanted.forEach((definition, name) => {
+            if (!this.store.indexes.has(name)) this.addIndex(definition);
+        });
+    }
+
+    // The definitions are logged like any other write so they survive a crash
+    saveIndexes() {
+        if (this.loading) {
+            this.loaded.then(() => this.saveIndexes());
+            return;
+        }
+        const definitions = Array.from(this.store.indexes.values(), index => index.toJSON());
+        this.logWrite('INDEXES', undefined, undefined, { indexes: definitions });
+        this.maybeCheckpoint();
+    }
+
+    // The named index, with keys changed since its last lookup re-read
+    lookupIndex(name) {
+        const index = this.store.indexes.get(name);
+        if (!index) {
+            throw new Error(`No index named '${name}'`);
+        }
+        index.stale.forEach((key) => {
+            const entry = this.store.get(key);
+            index.unfile(key);
+            if (entry && !this.isOpaque(entry)) {
+                index.file(key, indexTerms(index.extract(this.processValue(entry.value, entry))));
+            }
+        });
+        index.stale.clear();
+        return index;
+    }
+
+    // Leaves out keys whose TTL has passed but haven't been removed yet
+    unexpired(keys) {
+        const now = this.clock.now();
+        return keys.filter((key) => {
+            const entry = this.store.get(key);
+            return !entry.expiry || entry.expiry >= now;
+        });
+    }
+
+    // Keys whose indexed field equals `value` (or, for arrays, contains it)
+    findByIndex(name, value) {
+        const index = this.lookupIndex(name);
+        const [term] = indexTerms(value, true);
+        return term === undefined ? [] : this.unexpired(index.find(term));
+    }
+
+    /**
+     * Keys whose indexed field lies between `min` and `max` inclusive,
+     * ordered by that field. Pass null for an open end. Booleans sort
+     * before numbers, numbers before strings.
+     */
+    findByIndexRange(name, min, max, { limit = Infinity } = {}) {
+        const index = this.lookupIndex(name);
+        const bound = (value) => {
+            if (value === null || value === undefined) return null;
+            const [term] = indexTerms(value, true);
+            if (term === undefined) {
+                throw new Error('Index bounds must be strings, numbers, booleans or dates');
+            }
+            return term;
+        };
+        return this.unexpired(index.range(bound(min), bound(max))).slice(0, limit);
+    }
+
+    // ========================================
+    // STORAGE ANALYSIS
+    // ========================================
+
+    analyze() {
+        const entries = Array.from(this.store.entries());
+        const totalSize = JSON.stringify(Array.from(this.store)).length;
+        
+        const analysis = {
+            totalKeys: this.store.size,
+            totalSize: totalSize,
+            averageKeySize: entries.reduce((sum, [k]) => sum + k.length, 0) / entries.length || 0,
+            averageValueSize: entries.reduce((sum, [, v]) => sum + JSON.stringify(v.value).length, 0) / entries.length || 0,
+            encryptedKeys: this.encryptedKeys.size,
+            expiredKeys: 0,
+            largestKeys: this.keysBySize(5),
+            keyPrefixes: this.analyzeKeyPrefixes(),
+            compression: this.analyzeCompression()
+        };
+
+        // Check for expired keys
+        entries.forEach(([key, entry]) => {
+            if (entry.expiry && entry.expiry < this.clock.now()) {
+                analysis.expiredKeys++;
+            }
+        });
+
+        return analysis;
+    }
+
+    // Sizes are string lengths; ratio is original / stored. Encrypted
+    // entries are left out of the sizes since ciphertext is Base64.
+    analyzeCompression() {
+        const summary = { compressedKeys: 0, originalSize: 0, storedSize: 0, ratio: 1, codecs: {} };
+        this.store.forEach(entry => {
+            if (!entry.compressed) return;
+            const codec = entry.codec || 'rle';
+            summary.compressedKeys++;
+            summary.codecs[codec] = (summary.codecs[codec] || 0) + 1;
+            if (entry.originalSize && !entry.encrypted) {
+                summary.originalSize += entry.originalSize;
+                summary.storedSize += entry.value.length;
+            }
+        });
+        if (summary.storedSize > 0) {
+            summary.ratio = Number((summary.originalSize / summary.storedSize).toFixed(2));
+        }
+        return summary;
+    }
+
+    analyzeKeyPrefixes() {
+        const prefixes = {};
+        Array.from(this.store.keys()).forEach(key => {
+            const prefix = key.split(':')[0];
+            prefixes[prefix] = (prefixes[prefix] || 0) + 1;
+        });
+        return Object.entries(prefixes)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 5)
+            .map(([prefix, count]) => ({ prefix, count }));
+    }
+
+    // ========================================
+    // IMPORT / EXPORT
+    // ========================================
+
+    /**
+     * Encrypted and deflate/gzip values are exported as stored. JSON keeps
+     * value types (Dates and binary as tagged objects); CSV records them in
+     * a Type column with non-string values as JSON; TXT is for reading and
+     * imports values as strings (line breaks in them escaped as \n).
+     */
+    export(format = 'json') {
+        const entries = Array.from(this.store.entries()).map(([key, entry]) => {
+            const opaque = this.isOpaque(entry);
+            return {
+                key,
+                value: opaque ? entry.value : ValueTypes.toJSON(this.processValue(entry.value, entry)),
+                type: this.valueType(entry),
+                timestamp: entry.timestamp,
+                encrypted: entry.encrypted || false,
+                compressed: opaque ? entry.compressed || false : false,
+                codec: opaque && entry.compressed ? entry.codec || 'rle' : null,
+                originalSize: opaque ? entry.originalSize || null : null,
+                keyId: entry.keyId || null,
+                ttl: entry.expiry ? Math.max(0, Math.floor((entry.expiry - this.clock.now()) / 1000)) : null
+            };
+        });
+
+        // Text form of a value for CSV/TXT; stored values stay as they are
+        const text = (e) => e.type === 'string' || e.encrypted || e.compressed ? e.value : JSON.stringify(e.value);
+
+        switch (format) {
+            case 'json':
+                return JSON.stringify(entries, null, 2);
+            case 'csv':
+                const csv = ['Key,Value,Type,Timestamp,Encrypted,TTL'];
+                entries.forEach(e => {
+                    const type = e.encrypted || e.compressed ? '' : e.type;
+                    csv.push([csvField(e.key), csvField(text(e)), type, e.timestamp, e.encrypted, e.ttl].join(','));
+                });
+                return csv.join('\n');
+            case 'txt':
+                return entries.map(e => `${txtField(e.key, /[\\\n\r=]/g)} = ${txtField(text(e), /[\\\n\r]/g)}`).join('\n');
+            default:
+                return JSON.stringify(entries);
+        }
+    }
+
+    import(data, format = 'json') {
+        try {
+            let entries;
+            
+            switch (format) {
+                case 'json':
+                    entries = JSON.parse(data);
+                    break;
+                case 'csv':
+                    const [header, ...rows] = parseCsv(data);
+                    const column = (name) => header.findIndex(h => h.trim().toLowerCase() === name);
+                    const [keyColumn, valueColumn, typeColumn, ttlColumn] = ['key', 'value', 'type', 'ttl'].map(column);
+                    entries = rows.map(row => {
+                        const type = typeColumn >= 0 && row[typeColumn] ? row[typeColumn] : 'string';
+                        const ttl = ttlColumn >= 0 ? parseInt(row[ttlColumn]) : NaN;
+                        return {
+                            key: row[keyColumn],
+                            value: ValueTypes.decode(row[valueColumn], type),
+                            type,
+                            ttl: ttl > 0 ? ttl : null
+                        };
+                    });
+                    break;
+                case 'txt':
+                    entries = data.split(/\r?\n/).map(line => parseTxtLine(line) || {});
+                    break;
+                default:
+                    throw new Error('Unsupported format');
+            }
+
+            let imported = 0;
+            entries.forEach(entry => {
+                if (!entry.key || entry.value === undefined) return;
+
+                const codec = entry.compressed ? entry.codec || 'rle' : null;
+                if (codec) {
+                    Compression.codec(codec); // throws on unknown codecs
+                }
+                if ((entry.encrypted && Crypto.isEncrypted(entry.value)) || (!entry.encrypted && codec)) {
+                    // Already ciphertext or compressed: store as-is
+                    this.commitPut(entry.key, entry.value, {
+                        type: entry.type,
+                        encrypted: Boolean(entry.encrypted),
+                        codec,
+                        originalSize: entry.originalSize,
+                        keyId: entry.keyId,
+                        ttl: entry.ttl || null
+                    }, this.clock.monotonic());
+                } else {
+                    const value = format === 'json' && entry.type ? ValueTypes.fromJSON(entry.value) : entry.value;
+                    if (Collections.is(entry.type)) {
+                        this.putCollection(entry.key, entry.type, value, entry.ttl || null);
+                    } else {
+                        this.put(entry.key, value, { ttl: entry.ttl || null });
+                    }
+                }
+                imported++;
+            });
+
+            return { success: true, imported, total: entries.length };
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+    }
+
+    // ========================================
+    // MEMORY LIMIT
+    // ========================================
+
+    /**
+     * Sets the memory budget in bytes (0 = unlimited) and/or the eviction
+     * policy: 'noeviction', 'allkeys-lru', 'volatile-lru', 'allkeys-lfu',
+     * 'volatile-ttl' or 'allkeys-random'. Keys over a lowered budget are
+     * evicted right away where the policy allows.
+     */
+    configureMemory({ maxMemory = this.memory.maxMemory, policy = this.memory.policy } = {}) {
+        if (!Object.prototype.hasOwnProperty.call(EVICTION_POLICIES, policy)) {
+            throw new Error(`Unknown eviction policy '${policy}'`);
+        }
+        if (typeof maxMemory !== 'number' || !(maxMemory >= 0)) {
+            throw new Error('maxMemory must be a number of bytes');
+        }
+
+        if (policy !== this.memory.policy) {
+            const config = EVICTION_POLICIES[policy];
+            this.store.setOrder(config && config.Order, Boolean(config && config.volatile));
+        }
+        this.memory = { maxMemory, policy };
+        this.freeMemory(undefined, 0);
+        return { used: this.store.bytes, maxMemory, policy };
+    }
+
+    /**
+     * Makes room for `key` to take `size` bytes, evicting other keys.
+     * Throws OOM if the policy can't free enough.
+     */
+    reserveMemory(key, size) {
+        const { maxMemory } = this.memory;
+        if (maxMemory === 0 || this.loading) return;
+
+        const growth = size - this.store.sizeOf(key);
+        if (growth <= 0) return;
+        if (size > maxMemory || !this.freeMemory(key, growth)) {
+            throw new Error(OOM);
+        }
+    }
+
+    // Evicts keys other than `keep` until `bytes` more fit; false if they can't
+    freeMemory(keep, bytes) {
+        const { maxMemory } = this.memory;
+        if (maxMemory === 0) return true;
+
+        while (this.store.bytes + bytes > maxMemory) {
+            const key = this.store.nextVictim(keep);
+            if (key === undefined) return false;
+            this.stats.evictedKeys++;
+            this.dropKey(key, 'evict');
+        }
+        return true;
+    }
+
+    // ========================================
+    // CACHE MANAGEMENT
+    // ========================================
+
+    updateCache(key, entry) {
+        this.cache.set(key, entry);
+    }
+
+    /**
+     * Changes the read cache's policy and/or limits; cached entries are
+     * kept, evicting any that no longer fit.
+     */
+    configureCache({ policy, maxEntries, maxBytes } = {}) {
+        if (policy && policy !== this.cache.policyName) {
+            this.cache.setPolicy(policy);
+        }
+        this.cache.resize({ maxEntries, maxBytes });
+        return this.cache.getStats();
+    }
+
+    // Kept for compatibility: the cache's entry limit
+    get cacheSize() {
+        return this.cache.maxEntries;
+    }
+
+    set cacheSize(maxEntries) {
+        this.cache.resize({ maxEntries });
+    }
+
+    // Decrypts (asynchronously), decompresses and decodes a stored value.
+    // Entries written before value types hold their value as-is.
+    processValue(value, entry) {
+        if (Collections.is(entry.type)) {
+            return entry.value.toValue();
+        }
+
+        const decode = (text) => when(
+            entry.compressed ? Compression.decompress(text, entry.codec || 'rle') : text,
+            plain => ValueTypes.decode(plain, entry.type)
+        );
+
+        if (entry.encrypted) {
+            return this.decryptValue(value, entry.keyId).then(decode);
+        }
+
+        return decode(value);
+    }
+
+    valueType(entry) {
+        return entry.type || ValueTypes.of(entry.value);
+    }
+
+    // True when the stored value can only be read through a Promise
+    isOpaque(entry) {
+        return entry.encrypted || (entry.compressed && Compression.codec(entry.codec || 'rle').async);
+    }
+
+    // ========================================
+    // PERSISTENCE
+    // ========================================
+
+    // Runs an adapter call, logging failures from sync and async adapters alike
+    guard(write) {
+        try {
+            const result = write();
+            if (result && typeof result.then === 'function') {
+                return result.catch(e => console.error('Failed to persist:', e));
+            }
+            return result;
+        } catch (e) {
+            console.error('Failed to persist:', e);
+        }
+    }
+
+    persistEntry(key) {
+        const entry = this.store.get(key);
+        return entry
+            ? this.adapter.writeEntry(key, entry)
+            : this.adapter.deleteEntry(key);
+    }
+
+    // The WAL already holds the change; the adapter's entries catch up at the next checkpoint
+    markDirty(key) {
+        this.dirtyKeys.add(key);
+        this.maybeCheckpoint();
+    }
+
+    // Appends to the WAL; callers apply the change only after this returns
+    logWrite(op, key, entry, extra) {
+        if (this.loading) {
+            throw new Error('Store is still loading; await store.ready before writing');
+        }
+
+        if (this.watchers.size > 0) {
+            this.touchWatched(op, key);
+        }
+        if (this.recordings.size > 0) {
+            this.recordWrite(op, key);
+        }
+
+        const record = this.wal.next(op, key, entry, extra);
+        if (this.openTransaction) {
+            // Held back until the transaction commits as one TX record,
+            // which takes the same sequence number as every write inside it
+            this.journal(key);
+            this.openTransaction.records.push(record);
+            return record;
+        }
+        if (typeof this.adapter.appendLog === 'function') {
+            const result = this.adapter.appendLog(WriteAheadLog.encode(record));
+            if (result && typeof result.catch === 'function') {
+                result.catch(e => console.error('Failed to append to WAL:', e));
+            }
+        }
+        this.wal.commit(record);
+        return record;
+    }
+
+    /**
+     * Restores the adapter's entries, then replays the WAL on top of them.
+     * Resolves with the recovery report (also kept on `this.recovery`).
+     */
+    loadFromStorage() {
+        const report = {
+            snapshotEntries: 0,
+            logRecords: 0,
+            replayed: 0,
+            skipped: 0,
+            truncated: 0,
+            tornTail: false,
+            lastSeq: 0
+        };
+        const finish = () => {
+            this.loading = false;
+            report.lastSeq = this.wal.seq;
+            this.recovery = report;
+            this.rebuildExpiries();
+            this.maybeCheckpoint();
+            return report;
+        };
+        const fail = (e) => {
+            console.error('Failed to load:', e);
+            report.error = e.message;
+            return finish();
+        };
+
+        this.loading = true;
+        try {
+            const loaded = when(this.adapter.load(), (data) => {
+                this.restoreSnapshot(data, report);
+                if (typeof this.adapter.readLog !== 'function') return null;
+                return when(this.adapter.readLog(), lines => this.replayLog(lines, report));
+            });
+            const result = when(loaded, finish);
+            return typeof result.then === 'function'
+                ? result.catch(fail)
+                : Promise.resolve(result);
+        } catch (e) {
+            return Promise.resolve(fail(e));
+        }
+    }
+
+    restoreSnapshot(data, report) {
+        this.checkpointing.seq = (data && data.meta && data.meta.checkpointSeq) || 0;
+        this.checkpointing.image = null;
+        if (data && data.meta && data.meta.keyring) {
+            this.keyring.restore(data.meta.keyring);
+        }
+        if (data && data.meta && data.meta.databases) {
+            data.meta.databases.forEach(name => this.databaseNames.add(name));
+        }
+        if (data && data.meta && data.meta.versions) {
+            this.versions = new Map(data.meta.versions);
+        }
+        if (data && data.meta && data.meta.versionFloor) {
+            this.versionFloor = Math.max(this.versionFloor, data.meta.versionFloor);
+        }
+        if (data && data.meta && data.meta.retiredVersions) {
+            data.meta.retiredVersions.forEach(([key, version]) => this.retireVersion(key, { version }));
+        }
+        if (data && data.meta && data.meta.indexes) {
+            this.syncIndexes(data.meta.indexes);
+        }
+        if (data && data.meta && data.meta.timestamp) {
+            this.checkpointing.last = { seq: this.checkpointing.seq, timestamp: data.meta.timestamp };
+        }
+        this.wal.seq = Math.max(this.wal.seq, this.checkpointing.seq);
+
+        (data && data.entries || []).forEach(([key, entry]) => {
+            this.store.set(key, Collections.revive(entry));
+            if (entry.encrypted) {
+                this.encryptedKeys.add(key);
+            }
+            this.wal.seq = Math.max(this.wal.seq, entry.seq || 0);
+            report.snapshotEntries++;
+        });
+    }
+
+    replayLog(lines, report) {
+        const { records, invalid, tornTail } = this.wal.parse(lines);
+
+        report.logRecords = records.length;
+        records.forEach(record => {
+            if (record.seq > this.checkpointing.seq && this.applyRecord(record)) {
+                report.replayed++;
+            } else {
+                report.skipped++;
+            }
+            this.wal.commit(record);
+        });
+
+        if (invalid === 0) return report;
+
+        // Cut the log back to its last good record
+        report.truncated = invalid;
+        report.tornTail = tornTail;
+        return when(this.guard(() => this.adapter.truncateLog(records.length)), () => report);
+    }
+
+    // Applies a replayed record unless the restored entry is already newer
+    // `force` skips the per-key sequence check (used inside a TX record)
+    applyRecord(record, force = false) {
+        const current = this.store.get(record.key);
+        const newer = force || !current || (current.seq || 0) < record.seq;
+
+        switch (record.op) {
+            case 'PUT':
+                if (!newer) return false;
+                this.archive(record.key);
+                this.store.set(record.key, Collections.revive(record.entry));
+                if (record.entry.encrypted) {
+                    this.encryptedKeys.add(record.key);
+                }
+                this.dirtyKeys.add(record.key);
+                return true;
+            case 'DELETE':
+                if (!current || !newer) return false;
+                this.archive(record.key, record.timestamp);
+                this.retireVersion(record.key, current);
+                this.store.delete(record.key);
+                this.encryptedKeys.delete(record.key);
+                this.dirtyKeys.add(record.key);
+                return true;
+            case 'KEYRING':
+                this.keyring.restore(record.keyring);
+                return true;
+            case 'DATABASES':
+                record.names.forEach(name => this.databaseNames.add(name));
+                return true;
+            case 'INDEXES':
+                this.syncIndexes(record.indexes);
+                return true;
+            case 'EXPIRE':
+                if (!current || !newer) return false;
+                this.applyExpiry(current, record);
+                return true;
+            case 'TX': {
+                // Keys are checked once, before the TX's own writes bump their seq
+                const stale = new Set(record.ops
+                    .filter(op => this.store.has(op.key) && (this.store.get(op.key).seq || 0) >= record.seq)
+                    .map(op => op.key));
+                let applied = false;
+                record.ops.forEach(op => {
+                    if (!stale.has(op.key) && this.applyRecord({ ...op, seq: record.seq }, true)) {
+                        applied = true;
+                    }
+                });
+                return applied;
+            }
+            case 'CLEAR': {
+                let cleared = false;
+                this.versions.clear();
+                this.store.forEach((entry, key) => {
+                    if ((entry.seq || 0) < record.seq) {
+                        this.retireVersion(key, entry);
+                        this.store.delete(key);
+                        this.encryptedKeys.delete(key);
+                        this.dirtyKeys.add(key);
+                        cleared = true;
+                    }
+                });
+                return cleared;
+            }
+            default:
+                if (!Collections.commands[record.op] || !newer) return false;
+                this.applyCommand(record);
+                return true;
+        }
+    }
+
+    /**
+     * Discards in-memory state and rebuilds it from the adapter:
+     * snapshot first, then every valid WAL record after it.
+     */
+    recover() {
+        this.store.clear();
+        this.store.indexes.clear();
+        this.retiredVersions.clear();
+        this.versionFloor = 0;
+        this.cache.clear();
+        this.expiries.clear();
+        this.stopExpiryTimer();
+        this.encryptedKeys.clear();
+        this.versions.clear();
+        this.dirtyKeys.clear();
+        this.dirtyClear = false;
+        this.keyring = new Keyring();
+        this.wal = new WriteAheadLog(this.clock);
+        this.loaded = this.loadFromStorage();
+        this.ready = this.loaded;
+        return this.ready;
+    }
+
+    // ========================================
+    // SNAPSHOTS & CHECKPOINTS
+    // ========================================
+
+    /**
+     * Point-in-time image of the store and the WAL sequence it covers.
+     */
+    snapshot() {
+        return {
+            seq: this.wal.seq,
+            timestamp: this.clock.now(),
+            entries: Array.from(this.store.entries()).map(([key, entry]) => [key, cloneEntry(entry)])
+        };
+    }
+
+    /**
+     * Writes every entry changed since the last checkpoint to the adapter,
+     * records the WAL sequence now covered, then compacts the older records.
+     * If a write fails the WAL is left untouched and the keys stay dirty.
+     */
+    checkpoint() {
+        if (this.loading) {
+            return this.loaded.then(() => this.checkpoint());
+        }
+        if (this.checkpointing.running) {
+            return this.checkpointing.running.then(() => this.checkpoint());
+        }
+
+        const seq = this.wal.seq;
+        const clearFirst = this.dirtyClear;
+        const keys = clearFirst ? Array.from(this.store.keys()) : Array.from(this.dirtyKeys);
+        const compacted = this.wal.length;
+        this.dirtyKeys.clear();
+        this.dirtyClear = false;
+
+        this.collectVersions();
+        const versions = this.versions.size > 0 ? cloneEntry(Array.from(this.versions)) : undefined;
+
+        const tasks = [];
+        if (clearFirst) {
+            tasks.push(() => this.adapter.clear());
+        }
+        keys.forEach(key => tasks.push(() => this.persistEntry(key)));
+        if (typeof this.adapter.writeMeta === 'function') {
+            tasks.push(() => this.adapter.writeMeta({
+                checkpointSeq: seq,
+                timestamp: this.clock.now(),
+                keyring: this.keyring.initialized ? this.keyring.toJSON() : null,
+                databases: this.root === this ? this.databases() : undefined,
+                versionFloor: this.versionFloor,
+                retiredVersions: Array.from(this.retiredVersions),
+                indexes: this.store.indexes.size > 0
+                    ? Array.from(this.store.indexes.values(), index => index.toJSON())
+                    : undefined,
+                versions
+            }));
+        }
+        if (compacted > 0 && typeof this.adapter.compactLog === 'function') {
+            tasks.push(() => this.adapter.compactLog(compacted));
+        }
+        tasks.push(() => {
+            this.wal.compact(compacted);
+            this.checkpointing.seq = seq;
+            this.checkpointing.image = null;
+            this.checkpointing.last = { seq, timestamp: this.clock.now(), written: keys.length, compacted };
+            return this.checkpointing.last;
+        });
+
+        const done = () => {
+            this.checkpointing.running = null;
+        };
+        const fail = (e) => {
+            done();
+            keys.forEach(key => this.dirtyKeys.add(key));
+            this.dirtyClear = this.dirtyClear || clearFirst;
+            console.error('Checkpoint failed:', e);
+            return Promise.reject(e);
+        };
+
+        try {
+            const result = sequence(tasks);
+            if (result && typeof result.then === 'function') {
+                this.checkpointing.running = result.then((last) => {
+                    done();
+                    return last;
+                }, fail);
+                return this.checkpointing.running;
+            }
+            return Promise.resolve(result);
+        } catch (e) {
+            return fail(e);
+        }
+    }
+
+    maybeCheckpoint() {
+        if (this.loading || this.checkpointing.running || this.openTransaction) return;
+
+        if (this.wal.length >= this.checkpointing.maxWalRecords) {
+            this.checkpoint().catch(() => {});
+        }
+    }
+
+    startCheckpointTimer() {
+        if (this.checkpointing.timer) return;
+
+        this.checkpointing.timer = this.startInterval(() => {
+            if (!this.checkpointing.running && (this.dirtyKeys.size > 0 || this.dirtyClear)) {
+                this.checkpoint().catch(() => {});
+            }
+        }, this.checkpointing.interval);
+    }
+
+    stopCheckpointTimer() {
+        if (this.checkpointing.timer) {
+            this.stopInterval(this.checkpointing.timer);
+            this.checkpointing.timer = null;
+        }
+    }
+
+    flush() {
+        return Promise.resolve(this.adapter.flush());
+    }
+
+    // Checkpoints so the next load has nothing to replay; closing database '0' closes them all
+    close() {
+        this.stopMonitoring();
+        this.stopCheckpointTimer();
+        this.stopExpiryTimer();
+        const others = this.root === this
+            ? Array.from(this.openDatabases.values()).filter(database => database !== this)
+            : [];
+        return Promise.all(others.map(database => database.close()))
+            .then(() => this.checkpoint())
+            .then(() => this.flush())
+            .then(() => this.adapter.close());
+    }
+
+    // ========================================
+    // TIME TRAVEL
+    // ========================================
+    //
+    // The WAL holds every write since the last checkpoint, so the store can
+    // be rebuilt as it stood after any of them: the adapter's entries are
+    // the state at the checkpoint, and replaying records up to a sequence
+    // number onto a copy of them rolls them forward. Nothing older than
+    // the last checkpoint can be reached. The entries are read once and
+    // kept in checkpointing.image until the next checkpoint or
+    // releaseTimeline(), outside the maxMemory budget.
+
+    /**
+     * The points the store can be rebuilt at, oldest first: the last
+     * checkpoint (op 'CHECKPOINT') and then one per WAL record,
+     * as { seq, timestamp, op, keys }.
+     */
+    timeline() {
+        const last = this.checkpointing.last;
+        const points = [{
+            seq: this.checkpointing.seq,
+            timestamp: last && last.seq === this.checkpointing.seq ? last.timestamp : null,
+            op: 'CHECKPOINT',
+            keys: []
+        }];
+        this.wal.records.forEach(record => {
+            if (record.seq <= this.checkpointing.seq) return;
+            const keys = record.op === 'TX'
+                ? Array.from(new Set(record.ops.map(op => op.key).filter(key => key !== undefined)))
+                : (record.key === undefined ? [] : [record.key]);
+            points.push({ seq: record.seq, timestamp: record.timestamp, op: record.op, keys });
+        });
+        return points;
+    }
+
+    /**
+     * Resolves with a Map of key -> entry as the store stood after WAL
+     * record `seq`, leaving out keys whose TTL had passed by then.
+     * Rejects if `seq` is not on the timeline.
+     */
+    stateAt(seq) {
+        if (this.loading) {
+            return this.loaded.then(() => this.stateAt(seq));
+        }
+        if (this.checkpointing.running) {
+            return this.checkpointing.running.then(() => this.stateAt(seq), () => this.stateAt(seq));
+        }
+
+        const point = this.timeline().find(candidate => candidate.seq === seq);
+        if (!point) {
+            return Promise.reject(new Error(`Sequence ${seq} is not covered by the WAL`));
+        }
+        const base = this.checkpointing.seq;
+        const image = this.checkpointing.image;
+        if (!image || image.seq !== base) {
+            return new Promise(resolve => resolve(this.adapter.load({ compact: false }))).then((data) => {
+                // A checkpoint ran meanwhile: the entries may be newer than `base`
+                if (this.checkpointing.seq !== base || this.checkpointing.running) return this.stateAt(seq);
+                const entries = new Map();
+                (data && data.entries || []).forEach(([key, entry]) => entries.set(key, JSON.stringify(entry)));
+                this.checkpointing.image = { seq: base, entries };
+                return this.stateAt(seq);
+            });
+        }
+
+        const entries = new EntryStore();
+        image.entries.forEach((text, key) => {
+            entries.set(key, Collections.revive(JSON.parse(text)));
+        });
+        this.wal.records
+            .filter(record => record.seq > base && record.seq <= seq)
+            .forEach(record => this.replayOnto(entries, cloneEntry(record)));
+
+        const at = point.timestamp === null ? this.clock.now() : point.timestamp;
+        const state = new Map();
+        entries.forEach((entry, key) => {
+            if (!entry.expiry || entry.expiry > at) {
+                state.set(key, entry);
+            }
+        });
+        return Promise.resolve(state);
+    }
+
+    // Drops the checkpoint entries stateAt() keeps; the next call reads them again
+    releaseTimeline() {
+        this.checkpointing.image = null;
+    }
+
+    // The entry half of applyRecord(), for a bare EntryStore: no WAL,
+    // versions history, timers or events. `force` as in applyRecord().
+    replayOnto(entries, record, force = false) {
+        const current = entries.get(record.key);
+        const newer = force || !current || (current.seq || 0) < record.seq;
+
+        switch (record.op) {
+            case 'PUT':
+                if (newer) entries.set(record.key, Collections.revive(record.entry));
+                break;
+            case 'DELETE':
+                if (newer) entries.delete(record.key);
+                break;
+            case 'EXPIRE': {
+                if (!current || !newer) break;
+                const entry = { ...current, seq: record.seq, version: (current.version || 1) + 1 };
+                if (record.expiry === null) {
+                    delete entry.expiry;
+                } else {
+                    entry.expiry = record.expiry;
+                }
+                entries.set(record.key, entry);
+                break;
+            }
+            case 'TX': {
+                const stale = new Set(record.ops
+                    .filter(op => entries.has(op.key) && (entries.get(op.key).seq || 0) >= record.seq)
+                    .map(op => op.key));
+                record.ops.forEach((op) => {
+                    if (!stale.has(op.key)) this.replayOnto(entries, { ...op, seq: record.seq }, true);
+                });
+                break;
+            }
+            case 'CLEAR':
+                entries.forEach((entry, key) => {
+                    if ((entry.seq || 0) < record.seq) entries.delete(key);
+                });
+                break;
+            default: {
+                const command = Collections.commands[record.op];
+                if (!command || !newer) break;
+                const entry = current && current.type === command.type
+                    ? current
+                    : { value: new Collections.types[command.type](), type: command.type, encrypted: false, compressed: false };
+                command.run(entry.value, record.args);
+                entry.seq = record.seq;
+                entry.version = (current ? current.version || 1 : 0) + 1;
+                entry.timestamp = record.timestamp;
+                if (entry.value.size === 0) {
+                    entries.delete(record.key);
+                } else {
+                    entries.set(record.key, entry);
+                }
+            }
+        }
+    }
+
+    /**
+     * Resolves with the keys that differ between two points on the
+     * timeline: { added, removed, changed }, going from `fromSeq` to `toSeq`.
+     */
+    changesBetween(fromSeq, toSeq) {
+        return this.stateAt(fromSeq).then(before => this.stateAt(toSeq).then((after) => {
+            const changes = { added: [], removed: [], changed: [] };
+            after.forEach((entry, key) => {
+                if (!before.has(key)) {
+                    changes.added.push(key);
+                } else if ((before.get(key).seq || 0) !== (entry.seq || 0)) {
+                    changes.changed.push(key);
+                }
+            });
+            before.forEach((entry, key) => {
+                if (!after.has(key)) changes.removed.push(key);
+            });
+            return changes;
+        }));
+    }
+
+    /**
+     * Rewrites the store to match the point `seq` on the timeline, as one
+     * transaction of ordinary writes so the restore can itself be traveled
+     * back from. Keys keep the TTL they had left at that moment. Resolves
+     * with { seq, written, deleted }.
+     */
+    restoreTo(seq) {
+        return this.stateAt(seq).then((state) => {
+            const point = this.timeline().find(candidate => candidate.seq === seq);
+            const at = point && point.timestamp !== null ? point.timestamp : this.clock.now();
+            const entries = new Map(state);
+            this.store.forEach((entry, key) => {
+                if (!state.has(key)) entries.set(key, null);
+            });
+            return { seq, ...this.restoreEntries(entries, at) };
+        });
+    }
+
+    // ========================================
+    // CHANGE RECORDING
+    // ========================================
+    //
+    // Undo support: recordChanges() keeps the entry every key had before a
+    // piece of code first wrote to it, and restoreEntries() puts such
+    // entries back.
+
+    /**
+     * Runs `fn` and returns { result, changes, timestamp }. `changes` maps
+     * every key it wrote to copies of the entry { before, after } (null =
+     * no key). restoreEntries() with the befores undoes `fn`, with the
+     * afters redoes it.
+     */
+    recordChanges(fn) {
+        const timestamp = this.clock.now();
+        const before = new Map();
+        this.recordings.add(before);
+        let result;
+        try {
+            result = fn();
+        } finally {
+            this.recordings.delete(before);
+        }
+
+        const changes = new Map();
+        before.forEach((entry, key) => {
+            const after = this.store.get(key);
+            changes.set(key, { before: entry, after: after ? cloneEntry(after) : null });
+        });
+        return { result, changes, timestamp };
+    }
+
+    // Called from logWrite() before the write is applied; CLEAR writes every key
+    recordWrite(op, key) {
+        const keys = op === 'CLEAR' ? Array.from(this.store.keys()) : (key === undefined ? [] : [key]);
+        this.recordings.forEach(recording => keys.forEach((written) => {
+            if (recording.has(written)) return;
+            const entry = this.store.get(written);
+            recording.set(written, entry ? cloneEntry(entry) : null);
+        }));
+    }
+
+    /**
+     * Writes each key's entry back, or deletes the key for null, as one
+     * transaction. Keys still holding that very write are left alone.
+     * TTLs count from `at`, so a key gets back the time it had left then.
+     * Returns { written, deleted }.
+     */
+    restoreEntries(entries, at = this.clock.now()) {
+        const commands = [];
+        let written = 0;
+        let deleted = 0;
+
+        entries.forEach((then, key) => {
+            const current = this.store.get(key);
+            if (!then) {
+                if (!current) return;
+                deleted++;
+                commands.push(() => this.delete(key));
+                return;
+            }
+            if (current && (current.seq || 0) === (then.seq || 0)) return;
+            written++;
+            commands.push(() => {
+                const now = this.clock.now();
+                const entry = { ...cloneEntry(then), timestamp: now, version: this.nextVersion(key) };
+                if (entry.expiry) {
+                    entry.expiry = now + (entry.expiry - at);
+                }
+                this.reserveMemory(key, entrySize(key, entry));
+                this.putEntry(key, Collections.revive(entry));
+            });
+        });
+
+        this.execTransaction(commands);
+        return { written, deleted };
+    }
+
+    // ========================================
+    // STATISTICS & MONITORING
+    // ========================================
+
+    recordStats(operation, latency) {
+        this.stats.totalOps++;
+        this.stats[operation.toLowerCase() + 'Ops'] = (this.stats[operation.toLowerCase() + 'Ops'] || 0) + 1;
+        this.stats.latencies.push(latency);
+        this.stats.timestamps.push(this.clock.now());
+        
+        if (this.stats.latencies.length > 100) {
+            this.stats.latencies.shift();
+            this.stats.timestamps.shift();
+        }
+    }
+
+    resetStats() {
+        this.cache.resetMetrics();
+        this.stats = {
+            totalOps: 0,
+            putOps: 0,
+            getOps: 0,
+            deleteOps: 0,
+            incrOps: 0,
+            conflicts: 0,
+            evictedKeys: 0,
+            cacheHits: 0,
+            cacheMisses: 0,
+            latencies: [],
+            opsPerSecond: [],
+            timestamps: []
+        };
+    }
+
+    getStats() {
+        const avgLatency = this.stats.latencies.length > 0
+            ? this.stats.latencies.reduce((a, b) => a + b, 0) / this.stats.latencies.length
+            : 0;
+        
+        const cacheHitRate = this.stats.totalOps > 0
+            ? (this.stats.cacheHits / (this.stats.cacheHits + this.stats.cacheMisses) * 100)
+            : 0;
+
+        const storageSize = JSON.stringify(Array.from(this.store)).length;
+
+        // Calculate ops/sec
+        const now = this.clock.now();
+        const oneSecondAgo = now - 1000;
+        const recentOps = this.stats.timestamps.filter(t => t > oneSecondAgo).length;
+
+        return {
+            totalKeys: this.store.size,
+            totalOps: this.stats.totalOps,
+            putOps: this.stats.putOps || 0,
+            getOps: this.stats.getOps || 0,
+            deleteOps: this.stats.deleteOps || 0,
+            incrOps: this.stats.incrOps || 0,
+            conflicts: this.stats.conflicts || 0,
+            evictedKeys: this.stats.evictedKeys || 0,
+            avgLatency: avgLatency.toFixed(2),
+            cacheHitRate: cacheHitRate.toFixed(1),
+            storageSize: (storageSize / 1024).toFixed(2),
+            encryptedKeys: this.encryptedKeys.size,
+            opsPerSecond: recentOps,
+            cacheSize: this.cache.size,
+            cache: this.cache.getStats(),
+            memory: {
+                used: this.store.bytes,
+                maxMemory: this.memory.maxMemory,
+                policy: this.memory.policy
+            }
+        };
+    }
+
+    startMonitoring() {
+        if (this.monitoring.interval) return;
+        
+        this.monitoring.interval = this.startInterval(() => {
+            if (this.monitoring.enabled) {
+                this.emit('stats', this.getStats());
+            }
+        }, 1000);
+    }
+
+    stopMonitoring() {
+        if (this.monitoring.interval) {
+            this.stopInterval(this.monitoring.interval);
+            this.monitoring.interval = null;
+        }
+    }
+
+    // Encrypted values are returned as ciphertext; use get() to decrypt
+    getAllEntries() {
+        return Array.from(this.store.entries()).map(([key, entry]) => this.describeEntry(key, entry));
+    }
+
+    // The getAllEntries() view of one entry, with its TTL as of `now`
+    describeEntry(key, entry, now = this.clock.now()) {
+        return {
+            key,
+            value: this.isOpaque(entry) ? entry.value : this.processValue(entry.value, entry),
+            type: this.valueType(entry),
+            timestamp: entry.timestamp,
+            encrypted: entry.encrypted || false,
+            codec: entry.compressed ? entry.codec || 'rle' : null,
+            version: entry.version || 1,
+            ttl: entry.expiry ? Math.max(0, Math.floor((entry.expiry - now) / 1000)) : null
+        };
+    }
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        TinyKVStorePro,
+        SystemClock,
+        FakeClock,
+        Cache,
+        Crypto,
+        Compression,
+        ValueTypes,
+        Keyring,
+        WriteAheadLog,
+        MemoryAdapter,
+        LocalStorageAdapter,
+        IndexedDBAdapter,
+        FileAdapter
+    };
+}
@@ -0,0 +1,21 @@
+// ============================================
+// TINY KV STORE PRO - ES MODULE ENTRY
+// ============================================
+import core from './tiny-kv-store-core.js';
+
+export const {
+    TinyKVStorePro,
+    SystemClock,
+    FakeClock,
+    Cache,
+    Crypto,
+    Compression,
+    ValueTypes,
+    Keyring,
+    WriteAheadLog,
+    MemoryAdapter,
+    LocalStorageAdapter,
+    IndexedDBAdapter,
+    FileAdapter
+} = core;
+export default core;
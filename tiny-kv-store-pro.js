@@ -1,659 +1,110 @@
 // ============================================
-// TINY KV STORE PRO - ADVANCED JAVASCRIPT
+// TINY KV STORE PRO - DEMO UI
 // Version 2.0.0
+//
+// Requires tiny-kv-store-core.js to be loaded first.
 // ============================================
 
 // ============================================
-// ENCRYPTION MODULE
-// ============================================
-const Crypto = {
-    // Simple encryption for demo (in production, use Web Crypto API)
-    encrypt(text, key = 'defaultKey') {
-        let encrypted = '';
-        for (let i = 0; i < text.length; i++) {
-            encrypted += String.fromCharCode(
-                text.charCodeAt(i) ^ key.charCodeAt(i % key.length)
-            );
-        }
-        return btoa(encrypted);
-    },
-
-    decrypt(encrypted, key = 'defaultKey') {
-        try {
-            const text = atob(encrypted);
-            let decrypted = '';
-            for (let i = 0; i < text.length; i++) {
-                decrypted += String.fromCharCode(
-                    text.charCodeAt(i) ^ key.charCodeAt(i % key.length)
-                );
-            }
-            return decrypted;
-        } catch (e) {
-            return null;
-        }
-    }
-};
-
-// ============================================
-// COMPRESSION MODULE
-// ============================================
-const Compression = {
-    compress(text) {
-        // Simple Run-Length Encoding for demo
-        return text.replace(/(.)\1+/g, (match, char) => {
-            return match.length > 3 ? `${char}${match.length}` : match;
-        });
-    },
-
-    decompress(compressed) {
-        return compressed.replace(/(.)\d+/g, (match, char) => {
-            const count = parseInt(match.slice(1));
-            return char.repeat(count);
-        });
-    }
-};
-
-// ============================================
-// ENHANCED KV STORE CLASS
+// GLOBAL INSTANCE
 // ============================================
-class TinyKVStorePro {
-    constructor() {
-        this.store = new Map();
-        this.wal = [];
-        this.cache = new Map();
-        this.cacheSize = 100;
-        this.encryptedKeys = new Set();
-        this.queryHistory = [];
-        this.stats = {
-            totalOps: 0,
-            putOps: 0,
-            getOps: 0,
-            deleteOps: 0,
-            cacheHits: 0,
-            cacheMisses: 0,
-            latencies: [],
-            opsPerSecond: [],
-            timestamps: []
-        };
-        this.monitoring = {
-            enabled: true,
-            interval: null
-        };
-        this.loadFromStorage();
-        this.startMonitoring();
-    }
-
-    // ========================================
-    // CORE OPERATIONS
-    // ========================================
-    
-    put(key, value, options = {}) {
-        const start = performance.now();
-        
-        if (!key || value === undefined) {
-            throw new Error('Invalid key or value');
-        }
-
-        // Handle encryption
-        let storedValue = value;
-        if (options.encrypted) {
-            storedValue = Crypto.encrypt(value);
-            this.encryptedKeys.add(key);
-        }
-
-        // Handle compression
-        if (options.compress && typeof storedValue === 'string') {
-            storedValue = Compression.compress(storedValue);
-        }
-
-        // Write to WAL
-        this.wal.push({
-            timestamp: Date.now(),
-            op: 'PUT',
-            key,
-            value: storedValue,
-            options
-        });
-
-        // Create entry
-        const entry = {
-            value: storedValue,
-            timestamp: Date.now(),
-            encrypted: options.encrypted || false,
-            compressed: options.compress || false
-        };
-
-        // Handle TTL
-        if (options.ttl && options.ttl > 0) {
-            entry.expiry = Date.now() + (options.ttl * 1000);
-            setTimeout(() => this.delete(key), options.ttl * 1000);
-        }
-
-        this.store.set(key, entry);
-        this.updateCache(key, entry);
-        this.persist();
-
-        const latency = performance.now() - start;
-        this.recordStats('PUT', latency);
-
-        return { success: true, latency: latency.toFixed(2) };
-    }
-
-    get(key) {
-        const start = performance.now();
-        this.stats.getOps++;
-
-        // Check cache
-        if (this.cache.has(key)) {
-            this.stats.cacheHits++;
-            const entry = this.cache.get(key);
-            
-            if (entry.expiry && entry.expiry < Date.now()) {
-                this.delete(key);
-                return null;
-            }
-
-            const latency = performance.now() - start;
-            this.recordStats('GET', latency);
-            
-            return this.processValue(entry.value, entry);
-        }
-
-        // Cache miss
-        this.stats.cacheMisses++;
-
-        if (!this.store.has(key)) {
-            const latency = performance.now() - start;
-            this.recordStats('GET', latency);
-            return null;
-        }
-
-        const entry = this.store.get(key);
-        
-        if (entry.expiry && entry.expiry < Date.now()) {
-            this.delete(key);
-            return null;
-        }
-
-        this.updateCache(key, entry);
-
-        const latency = performance.now() - start;
-        this.recordStats('GET', latency);
-        
-        return this.processValue(entry.value, entry);
-    }
-
-    delete(key) {
-        const start = performance.now();
-        
-        this.wal.push({
-            timestamp: Date.now(),
-            op: 'DELETE',
-            key
-        });
-
-        const existed = this.store.delete(key);
-        this.cache.delete(key);
-        this.encryptedKeys.delete(key);
-
-        this.persist();
-
-        const latency = performance.now() - start;
-        this.recordStats('DELETE', latency);
-
-        return { success: existed, latency: latency.toFixed(2) };
-    }
-
-    // ========================================
-    // ADVANCED OPERATIONS
-    // ========================================
-
-    exists(key) {
-        const entry = this.store.get(key);
-        if (!entry) return false;
-        if (entry.expiry && entry.expiry < Date.now()) {
-            this.delete(key);
-            return false;
-        }
-        return true;
-    }
-
-    keys(pattern = '*') {
-        const keys = Array.from(this.store.keys());
-        if (pattern === '*') return keys;
-        
-        // Convert glob pattern to regex
-        const regex = new RegExp(
-            '^' + pattern.replace(/\*/g, '.*').replace(/\?/g, '.') + '$'
-        );
-        return keys.filter(k => regex.test(k));
-    }
-
-    scan(cursor = 0, options = {}) {
-        const keys = Array.from(this.store.keys());
-        const count = options.count || 10;
-        const pattern = options.match || '*';
-        
-        const regex = new RegExp(
-            '^' + pattern.replace(/\*/g, '.*').replace(/\?/g, '.') + '$'
-        );
-        
-        const filtered = keys.filter(k => regex.test(k));
-        const result = filtered.slice(cursor, cursor + count);
-        
-        return {
-            cursor: cursor + count < filtered.length ? cursor + count : 0,
-            keys: result
-        };
-    }
-
-    clear() {
-        this.store.clear();
-        this.cache.clear();
-        this.encryptedKeys.clear();
-        this.wal = [];
-        this.queryHistory = [];
-        this.persist();
-        this.resetStats();
-    }
-
-    // ========================================
-    // BATCH OPERATIONS
-    // ========================================
-
-    batch(operations) {
-        const results = [];
-        const startTime = performance.now();
-        
-        try {
-            for (const op of operations) {
-                let result;
-                switch (op.op.toUpperCase()) {
-                    case 'PUT':
-                        result = this.put(op.key, op.value, { ttl: op.ttl });
-                        break;
-                    case 'GET':
-                        result = { success: true, value: this.get(op.key) };
-                        break;
-                    case 'DELETE':
-                        result = this.delete(op.key);
-                        break;
-                    case 'EXISTS':
-                        result = { success: true, exists: this.exists(op.key) };
-                        break;
-                    default:
-                        result = { success: false, error: 'Unknown operation' };
-                }
-                results.push({ ...op, result });
-            }
-            
-            const totalTime = performance.now() - startTime;
-            return {
-                success: true,
-                results,
-                totalTime: totalTime.toFixed(2),
-                opsPerformed: operations.length
-            };
-        } catch (e) {
-            return {
-                success: false,
-                error: e.message,
-                results
-            };
-        }
-    }
-
-    // ========================================
-    // ENCRYPTION OPERATIONS
-    // ========================================
-
-    putEncrypted(key, value, ttl = null) {
-        return this.put(key, value, { encrypted: true, ttl });
-    }
-
-    getDecrypted(key) {
-        const entry = this.store.get(key);
-        if (!entry) return null;
-        
-        if (entry.encrypted) {
-            return Crypto.decrypt(entry.value);
-        }
-        return entry.value;
-    }
+const rootStore = new TinyKVStorePro({ storage: window.localStorage });
 
-    // ========================================
-    // ADVANCED QUERY OPERATIONS
-    // ========================================
+// The database the demo works on, picked in the Basic Operations tab
+let kvStore = rootStore;
+let unbindStore = () => {};
 
-    prefixSearch(prefix) {
-        const keys = Array.from(this.store.keys());
-        return keys.filter(k => k.startsWith(prefix));
-    }
-
-    regexSearch(pattern) {
-        const keys = Array.from(this.store.keys());
-        const regex = new RegExp(pattern);
-        return keys.filter(k => regex.test(k));
-    }
-
-    rangeQuery(start, end) {
-        const keys = Array.from(this.store.keys()).sort();
-        return keys.filter(k => k >= start && k <= end);
-    }
-
-    keysBySize(limit = 10) {
-        const entries = Array.from(this.store.entries());
-        return entries
-            .map(([key, entry]) => ({
-                key,
-                size: JSON.stringify(entry.value).length
-            }))
-            .sort((a, b) => b.size - a.size)
-            .slice(0, limit);
-    }
-
-    advancedQuery(type, pattern) {
-        this.queryHistory.push({ type, pattern, timestamp: Date.now() });
-        
-        switch (type) {
-            case 'prefix':
-                return this.prefixSearch(pattern);
-            case 'regex':
-                return this.regexSearch(pattern);
-            case 'range':
-                const [start, end] = pattern.split(',');
-                return this.rangeQuery(start, end);
-            case 'size':
-                return this.keysBySize(parseInt(pattern) || 10);
-            default:
-                return [];
-        }
-    }
-
-    // ========================================
-    // STORAGE ANALYSIS
-    // ========================================
+function bindStore(store) {
+    unbindStore();
 
-    analyze() {
-        const entries = Array.from(this.store.entries());
-        const totalSize = JSON.stringify(Array.from(this.store)).length;
-        
-        const analysis = {
-            totalKeys: this.store.size,
-            totalSize: totalSize,
-            averageKeySize: entries.reduce((sum, [k]) => sum + k.length, 0) / entries.length || 0,
-            averageValueSize: entries.reduce((sum, [, v]) => sum + JSON.stringify(v.value).length, 0) / entries.length || 0,
-            encryptedKeys: this.encryptedKeys.size,
-            expiredKeys: 0,
-            largestKeys: this.keysBySize(5),
-            keyPrefixes: this.analyzeKeyPrefixes()
-        };
+    const offStats = store.on('stats', (stats) => {
+        updateMonitoringDisplay(stats);
+        updateCharts(stats);
+    });
 
-        // Check for expired keys
-        entries.forEach(([key, entry]) => {
-            if (entry.expiry && entry.expiry < Date.now()) {
-                analysis.expiredKeys++;
-            }
+    // Redraw once per burst of keyspace changes, whoever made them
+    let redrawPending = false;
+    const unsubscribe = store.subscribe('*', (event) => {
+        if (redrawPending) return;
+        redrawPending = true;
+        requestAnimationFrame(() => {
+            redrawPending = false;
+            updateVisualization();
+            updateStats();
         });
+    });
 
-        return analysis;
-    }
+    unbindStore = () => {
+        offStats();
+        unsubscribe();
+    };
+}
 
-    analyzeKeyPrefixes() {
-        const prefixes = {};
-        Array.from(this.store.keys()).forEach(key => {
-            const prefix = key.split(':')[0];
-            prefixes[prefix] = (prefixes[prefix] || 0) + 1;
-        });
-        return Object.entries(prefixes)
-            .sort(([, a], [, b]) => b - a)
-            .slice(0, 5)
-            .map(([prefix, count]) => ({ prefix, count }));
-    }
+bindStore(kvStore);
 
-    // ========================================
-    // IMPORT / EXPORT
-    // ========================================
-
-    export(format = 'json') {
-        const entries = Array.from(this.store.entries()).map(([key, entry]) => ({
-            key,
-            value: this.processValue(entry.value, entry),
-            timestamp: entry.timestamp,
-            encrypted: entry.encrypted || false,
-            ttl: entry.expiry ? Math.max(0, Math.floor((entry.expiry - Date.now()) / 1000)) : null
-        }));
-
-        switch (format) {
-            case 'json':
-                return JSON.stringify(entries, null, 2);
-            case 'csv':
-                const csv = ['Key,Value,Timestamp,Encrypted,TTL'];
-                entries.forEach(e => {
-                    csv.push(`"${e.key}","${e.value}","${e.timestamp}",${e.encrypted},${e.ttl}`);
-                });
-                return csv.join('\n');
-            case 'txt':
-                return entries.map(e => `${e.key} = ${e.value}`).join('\n');
-            default:
-                return JSON.stringify(entries);
-        }
-    }
+// ============================================
+// UI FUNCTIONS
+// ============================================
 
-    import(data, format = 'json') {
-        try {
-            let entries;
-            
-            switch (format) {
-                case 'json':
-                    entries = JSON.parse(data);
-                    break;
-                case 'csv':
-                    const lines = data.split('\n').slice(1); // Skip header
-                    entries = lines.map(line => {
-                        const [key, value] = line.split(',').map(s => s.trim().replace(/^"|"$/g, ''));
-                        return { key, value };
-                    });
-                    break;
-                case 'txt':
-                    const txtLines = data.split('\n');
-                    entries = txtLines.map(line => {
-                        const [key, value] = line.split('=').map(s => s.trim());
-                        return { key, value };
-                    });
-                    break;
-                default:
-                    throw new Error('Unsupported format');
+// Turns the Value input into the type picked next to it
+function parseTypedValue(text, type) {
+    switch (type) {
+        case 'number': {
+            const number = Number(text.trim());
+            if (text.trim() === '' || !Number.isFinite(number)) {
+                throw new Error(`"${text}" is not a number`);
             }
-
-            let imported = 0;
-            entries.forEach(entry => {
-                if (entry.key && entry.value) {
-                    this.put(entry.key, entry.value, { ttl: entry.ttl || null });
-                    imported++;
-                }
-            });
-
-            return { success: true, imported, total: entries.length };
-        } catch (e) {
-            return { success: false, error: e.message };
-        }
-    }
-
-    // ========================================
-    // CACHE MANAGEMENT
-    // ========================================
-
-    updateCache(key, entry) {
-        if (this.cache.size >= this.cacheSize) {
-            const firstKey = this.cache.keys().next().value;
-            this.cache.delete(firstKey);
+            return number;
         }
-        this.cache.set(key, entry);
-    }
-
-    processValue(value, entry) {
-        let processed = value;
-        
-        if (entry.compressed) {
-            processed = Compression.decompress(processed);
-        }
-        
-        if (entry.encrypted) {
-            processed = Crypto.decrypt(processed);
-        }
-        
-        return processed;
-    }
-
-    // ========================================
-    // PERSISTENCE
-    // ========================================
-
-    persist() {
-        try {
-            const data = {
-                store: Array.from(this.store.entries()),
-                encryptedKeys: Array.from(this.encryptedKeys),
-                wal: this.wal.slice(-1000)
-            };
-            localStorage.setItem('kvstore-pro', JSON.stringify(data));
-        } catch (e) {
-            console.error('Failed to persist:', e);
-        }
-    }
-
-    loadFromStorage() {
-        try {
-            const data = localStorage.getItem('kvstore-pro');
-            if (data) {
-                const parsed = JSON.parse(data);
-                this.store = new Map(parsed.store);
-                this.encryptedKeys = new Set(parsed.encryptedKeys || []);
-                this.wal = parsed.wal || [];
+        case 'boolean':
+            if (!['true', 'false'].includes(text.trim())) {
+                throw new Error('Boolean values must be true or false');
             }
-        } catch (e) {
-            console.error('Failed to load:', e);
-        }
-    }
-
-    // ========================================
-    // STATISTICS & MONITORING
-    // ========================================
-
-    recordStats(operation, latency) {
-        this.stats.totalOps++;
-        this.stats[operation.toLowerCase() + 'Ops'] = (this.stats[operation.toLowerCase() + 'Ops'] || 0) + 1;
-        this.stats.latencies.push(latency);
-        this.stats.timestamps.push(Date.now());
-        
-        if (this.stats.latencies.length > 100) {
-            this.stats.latencies.shift();
-            this.stats.timestamps.shift();
-        }
-    }
-
-    resetStats() {
-        this.stats = {
-            totalOps: 0,
-            putOps: 0,
-            getOps: 0,
-            deleteOps: 0,
-            cacheHits: 0,
-            cacheMisses: 0,
-            latencies: [],
-            opsPerSecond: [],
-            timestamps: []
-        };
-    }
-
-    getStats() {
-        const avgLatency = this.stats.latencies.length > 0
-            ? this.stats.latencies.reduce((a, b) => a + b, 0) / this.stats.latencies.length
-            : 0;
-        
-        const cacheHitRate = this.stats.totalOps > 0
-            ? (this.stats.cacheHits / (this.stats.cacheHits + this.stats.cacheMisses) * 100)
-            : 0;
-
-        const storageSize = JSON.stringify(Array.from(this.store)).length;
-
-        // Calculate ops/sec
-        const now = Date.now();
-        const oneSecondAgo = now - 1000;
-        const recentOps = this.stats.timestamps.filter(t => t > oneSecondAgo).length;
-
-        return {
-            totalKeys: this.store.size,
-            totalOps: this.stats.totalOps,
-            putOps: this.stats.putOps || 0,
-            getOps: this.stats.getOps || 0,
-            deleteOps: this.stats.deleteOps || 0,
-            avgLatency: avgLatency.toFixed(2),
-            cacheHitRate: cacheHitRate.toFixed(1),
-            storageSize: (storageSize / 1024).toFixed(2),
-            encryptedKeys: this.encryptedKeys.size,
-            opsPerSecond: recentOps,
-            cacheSize: this.cache.size
-        };
-    }
-
-    startMonitoring() {
-        if (this.monitoring.interval) return;
-        
-        this.monitoring.interval = setInterval(() => {
-            if (this.monitoring.enabled) {
-                const stats = this.getStats();
-                updateMonitoringDisplay(stats);
-                updateCharts(stats);
+            return text.trim() === 'true';
+        case 'json':
+            return ValueTypes.fromJSON(JSON.parse(text));
+        case 'date': {
+            const date = new Date(text.trim());
+            if (isNaN(date.getTime())) {
+                throw new Error(`"${text}" is not a valid date`);
             }
-        }, 1000);
-    }
-
-    stopMonitoring() {
-        if (this.monitoring.interval) {
-            clearInterval(this.monitoring.interval);
-            this.monitoring.interval = null;
+            return date;
         }
-    }
-
-    getAllEntries() {
-        return Array.from(this.store.entries()).map(([key, entry]) => ({
-            key,
-            value: this.processValue(entry.value, entry),
-            timestamp: entry.timestamp,
-            encrypted: entry.encrypted || false,
-            ttl: entry.expiry ? Math.max(0, Math.floor((entry.expiry - Date.now()) / 1000)) : null
-        }));
+        default:
+            return text;
     }
 }
 
-// ============================================
-// GLOBAL INSTANCE
-// ============================================
-const kvStore = new TinyKVStorePro();
+// Display text for a stored value of any type
+function formatValue(value) {
+    if (typeof value === 'string') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof Uint8Array) return `<${value.length} bytes>`;
+    return JSON.stringify(ValueTypes.toJSON(value));
+}
 
-// ============================================
-// UI FUNCTIONS
-// ============================================
+// Select option that edits a value of the given type
+function valueTypeOption(type) {
+    return ['string', 'number', 'boolean', 'date'].includes(type) ? type : 'json';
+}
 
 function kvPut() {
     const key = document.getElementById('key').value.trim();
-    const value = document.getElementById('value').value.trim();
+    const text = document.getElementById('value').value;
+    const type = document.getElementById('valueType').value;
     const ttl = parseInt(document.getElementById('ttl').value) || 0;
 
-    if (!key || !value) {
+    if (!key || !text.trim()) {
         showToast('Please enter both key and value', 'error');
         return;
     }
 
     try {
+        const value = parseTypedValue(type === 'string' ? text.trim() : text, type);
         const options = ttl > 0 ? { ttl } : {};
-        const result = kvStore.put(key, value, options);
-        addTerminalLine(`PUT ${key} = ${value}${ttl > 0 ? ` TTL=${ttl}s` : ''}`, 'success');
+        const result = undoable(`PUT ${key}`, () => kvStore.put(key, value, options));
+        addTerminalLine(`PUT ${key} = ${formatValue(value)} (${ValueTypes.of(value)})${ttl > 0 ? ` TTL=${ttl}s` : ''}`, 'success');
         addTerminalLine(`✓ Success (${result.latency}ms)`, 'info');
-        updateVisualization();
-        updateStats();
         showToast('Key-value pair stored successfully!');
         
         // Clear inputs
@@ -674,20 +125,25 @@ function kvGet() {
         return;
     }
 
-    const value = kvStore.get(key);
-    
-    if (value === null) {
-        addTerminalLine(`GET ${key}`, 'info');
-        addTerminalLine(`✗ Key not found`, 'error');
-        showToast('Key not found', 'error');
-    } else {
+    // Encrypted entries resolve asynchronously
+    Promise.resolve(kvStore.get(key)).then(value => {
+        if (value === null) {
+            addTerminalLine(`GET ${key}`, 'info');
+            addTerminalLine(`✗ Key not found`, 'error');
+            showToast('Key not found', 'error');
+        } else {
+            const text = formatValue(value);
+            addTerminalLine(`GET ${key}`, 'info');
+            addTerminalLine(`✓ Value: ${text} (${ValueTypes.of(value)})`, 'success');
+            showToast(`Value: ${text}`);
+            document.getElementById('value').value = text;
+            document.getElementById('valueType').value = valueTypeOption(ValueTypes.of(value));
+        }
+    }).catch(e => {
         addTerminalLine(`GET ${key}`, 'info');
-        addTerminalLine(`✓ Value: ${value}`, 'success');
-        showToast(`Value: ${value}`);
-        document.getElementById('value').value = value;
-    }
-    
-    updateStats();
+        addTerminalLine(`✗ Error: ${e.message}`, 'error');
+        showToast(e.message, 'error');
+    }).then(updateStats);
 }
 
 function kvDelete() {
@@ -698,13 +154,11 @@ function kvDelete() {
         return;
     }
 
-    const result = kvStore.delete(key);
+    const result = undoable(`DELETE ${key}`, () => kvStore.delete(key));
     
     if (result.success) {
         addTerminalLine(`DELETE ${key}`, 'info');
         addTerminalLine(`✓ Key deleted (${result.latency}ms)`, 'success');
-        updateVisualization();
-        updateStats();
         showToast('Key deleted successfully!');
         document.getElementById('key').value = '';
     } else {
@@ -746,14 +200,49 @@ function kvKeys() {
     showToast(`Found ${keys.length} keys`);
 }
 
+function selectDatabase(name) {
+    if (name === '+') {
+        name = (prompt('New database name (letters, digits, _ and -):') || '').trim();
+        if (!name) {
+            renderDatabases();
+            return;
+        }
+    }
+
+    try {
+        const previous = kvStore;
+        kvStore = rootStore.db(name);
+        if (kvStore !== previous) previous.releaseTimeline();
+    } catch (e) {
+        showToast(e.message, 'error');
+        renderDatabases();
+        return;
+    }
+
+    bindStore(kvStore);
+    timeTravel.viewing = null;
+    timeTravel.compareFrom = null;
+    renderDatabases();
+    updateVisualization();
+    updateStats();
+    addTerminalLine(`SELECT ${name}`, 'info');
+    addTerminalLine(`✓ Using database '${name}' (${kvStore.keys().length} keys)`, 'success');
+}
+
+function renderDatabases() {
+    const select = document.getElementById('database');
+    select.innerHTML = rootStore.databases()
+        .map(name => `<option value="${escapeHtml(name)}">${name === '0' ? '0 (default)' : escapeHtml(name)}</option>`)
+        .join('') + '<option value="+">➕ New database…</option>';
+    select.value = kvStore.name;
+}
+
 function kvClear() {
     if (confirm('Are you sure you want to clear all data?')) {
-        kvStore.clear();
+        undoable('CLEAR ALL', () => kvStore.clear());
         addTerminalLine('CLEAR ALL', 'info');
         addTerminalLine('✓ All data cleared', 'success');
-        updateVisualization();
-        updateStats();
-        showToast('All data cleared!');
+        showToast('All data cleared! Press Ctrl+Z to undo');
     }
 }
 
@@ -764,18 +253,45 @@ function kvBatch() {
         
         addTerminalLine('BATCH EXECUTE', 'info');
         
-        const result = kvStore.batch(operations);
+        const result = undoable(`BATCH (${operations.length} ops)`, () => kvStore.batch(operations));
         
-        addTerminalLine(`✓ Batch completed: ${result.opsPerformed} operations in ${result.totalTime}ms`, 'success');
+        if (result.success) {
+            addTerminalLine(`✓ Batch completed: ${result.opsPerformed} operations in ${result.totalTime}ms`, 'success');
+        } else {
+            addTerminalLine(`✗ Batch stopped: ${result.error}`, 'error');
+        }
+        
+        // Commands between MULTI and EXEC report 'QUEUED'; EXEC carries their results
+        let queued = [];
+        const showResult = (op, opResult, indent = '  ') => {
+            const label = `${op.op}${op.key !== undefined ? ` ${op.key}` : ''}`;
+            if (opResult === 'QUEUED') {
+                addTerminalLine(`${indent}… ${label} QUEUED`, 'info');
+                return;
+            }
+            addTerminalLine(`${indent}${opResult.success ? '✓' : '✗'} ${label}`, opResult.success ? 'success' : 'error');
+        };
         
         result.results.forEach(r => {
-            const status = r.result.success ? '✓' : '✗';
-            addTerminalLine(`  ${status} ${r.op} ${r.key}`, r.result.success ? 'success' : 'error');
+            showResult(r, r.result);
+            if (r.result === 'QUEUED') {
+                queued.push(r);
+                return;
+            }
+            const op = r.op.toUpperCase();
+            if (op === 'EXEC' && r.result.results) {
+                r.result.results.forEach((sub, i) => showResult(queued[i], sub, '    '));
+            }
+            if (op === 'EXEC' || op === 'DISCARD') {
+                queued = [];
+            }
         });
         
-        updateVisualization();
-        updateStats();
-        showToast('Batch operations completed!');
+        if (result.success) {
+            showToast('Batch operations completed!');
+        } else {
+            showToast(result.error, 'error');
+        }
     } catch (e) {
         addTerminalLine(`✗ Error: ${e.message}`, 'error');
         showToast('Invalid JSON format', 'error');
@@ -794,6 +310,20 @@ function validateBatch() {
     }
 }
 
+// Unlocks the store's keyring with the master passphrase from the Encryption tab
+function applyPassphrase() {
+    const passphrase = document.getElementById('encPassphrase').value;
+    if (!passphrase) {
+        return Promise.reject(new Error('Please enter a passphrase'));
+    }
+    if (!kvStore.isLocked()) {
+        return Promise.resolve();
+    }
+    return kvStore.unlock(passphrase).then(() => {
+        addTerminalLine(`Keyring unlocked (active key: ${kvStore.keyring.activeId})`, 'info');
+    });
+}
+
 function kvPutEncrypted() {
     const key = document.getElementById('encKey').value.trim();
     const value = document.getElementById('encValue').value.trim();
@@ -803,20 +333,17 @@ function kvPutEncrypted() {
         return;
     }
 
-    try {
-        kvStore.putEncrypted(key, value);
+    applyPassphrase().then(() => kvStore.putEncrypted(key, value)).then(() => {
         addTerminalLine(`PUT (ENCRYPTED) ${key} = [ENCRYPTED]`, 'success');
         addTerminalLine(`✓ Value encrypted and stored`, 'info');
-        updateVisualization();
-        updateStats();
         showToast('Encrypted value stored successfully!');
         
         document.getElementById('encKey').value = '';
         document.getElementById('encValue').value = '';
-    } catch (e) {
+    }).catch(e => {
         addTerminalLine(`✗ Error: ${e.message}`, 'error');
         showToast(e.message, 'error');
-    }
+    });
 }
 
 function kvGetDecrypted() {
@@ -827,22 +354,114 @@ function kvGetDecrypted() {
         return;
     }
 
-    const value = kvStore.getDecrypted(key);
-    
-    if (value === null) {
-        addTerminalLine(`GET (DECRYPT) ${key}`, 'info');
-        addTerminalLine(`✗ Key not found`, 'error');
-        showToast('Key not found', 'error');
-    } else {
+    applyPassphrase().then(() => kvStore.getDecrypted(key)).then(value => {
+        if (value === null) {
+            addTerminalLine(`GET (DECRYPT) ${key}`, 'info');
+            addTerminalLine(`✗ Key not found`, 'error');
+            showToast('Key not found', 'error');
+        } else {
+            addTerminalLine(`GET (DECRYPT) ${key}`, 'info');
+            addTerminalLine(`✓ Decrypted value: ${value}`, 'success');
+            showToast('Value decrypted successfully!');
+            document.getElementById('encValue').value = value;
+        }
+    }).catch(e => {
         addTerminalLine(`GET (DECRYPT) ${key}`, 'info');
-        addTerminalLine(`✓ Decrypted value: ${value}`, 'success');
-        showToast('Value decrypted successfully!');
-        document.getElementById('encValue').value = value;
+        addTerminalLine(`✗ ${e.message}`, 'error');
+        showToast(e.message, 'error');
+    }).then(updateStats);
+}
+
+function kvLockStore() {
+    kvStore.lock();
+    addTerminalLine('Keyring locked; encrypted values are unreadable until unlocked', 'warning');
+    showToast('Store locked');
+}
+
+function kvRotateKey() {
+    const newId = 'key-' + Date.now().toString(36);
+
+    applyPassphrase().then(() => {
+        const oldId = kvStore.keyring.activeId;
+        addTerminalLine(`ROTATE KEY ${oldId} → ${newId}`, 'info');
+        return kvStore.rotateKey(oldId, newId, { removeOld: true });
+    }).then(report => {
+        addTerminalLine(`✓ Re-encrypted ${report.rotated} value(s) under ${report.to}`, 'success');
+        showToast('Encryption key rotated');
+        updateVisualization();
+    }).catch(e => {
+        addTerminalLine(`✗ ${e.message}`, 'error');
+        showToast(e.message, 'error');
+    });
+}
+
+// Channel patterns subscribed from the Pub/Sub tab -> unsubscribe function
+const pubsubSubscriptions = new Map();
+
+function kvPublish() {
+    const channel = document.getElementById('pubsubChannel').value.trim();
+    const message = document.getElementById('pubsubMessage').value;
+
+    if (!channel || !message) {
+        showToast('Please enter both channel and message', 'error');
+        return;
     }
-    
-    updateStats();
+
+    const receivers = kvStore.publish(channel, message);
+    addTerminalLine(`PUBLISH ${channel} "${message}"`, 'info');
+    addTerminalLine(`✓ Delivered to ${receivers} subscriber(s)`, receivers > 0 ? 'success' : 'warning');
+    document.getElementById('pubsubMessage').value = '';
+}
+
+function kvSubscribe() {
+    const pattern = document.getElementById('pubsubChannel').value.trim();
+
+    if (!pattern) {
+        showToast('Please enter a channel or pattern', 'error');
+        return;
+    }
+    if (pubsubSubscriptions.has(pattern)) {
+        showToast(`Already subscribed to ${pattern}`, 'error');
+        return;
+    }
+
+    const unsubscribe = kvStore.psubscribe(pattern, (event) => {
+        addTerminalLine(`[${pattern}] ${event.channel}: ${formatValue(event.message)}`, 'success');
+    });
+    pubsubSubscriptions.set(pattern, unsubscribe);
+    addTerminalLine(`SUBSCRIBE ${pattern}`, 'info');
+    showToast(`Subscribed to ${pattern}`);
+    renderSubscriptions();
+}
+
+function kvUnsubscribe(pattern = document.getElementById('pubsubChannel').value.trim()) {
+    const unsubscribe = pubsubSubscriptions.get(pattern);
+    if (!unsubscribe) {
+        showToast(pattern ? `Not subscribed to ${pattern}` : 'Please enter a channel or pattern', 'error');
+        return;
+    }
+
+    unsubscribe();
+    pubsubSubscriptions.delete(pattern);
+    addTerminalLine(`UNSUBSCRIBE ${pattern}`, 'info');
+    renderSubscriptions();
+}
+
+function renderSubscriptions() {
+    const container = document.getElementById('pubsubSubscriptions');
+    container.innerHTML = Array.from(pubsubSubscriptions.keys()).map((pattern, index) => `
+        <span class="kv-type" style="cursor: pointer;" title="Unsubscribe" data-subscription="${index}">
+            ${escapeHtml(pattern)} ✕
+        </span>
+    `).join('');
 }
 
+document.getElementById('pubsubSubscriptions').addEventListener('click', (e) => {
+    const item = e.target.closest('[data-subscription]');
+    if (!item) return;
+    kvUnsubscribe(Array.from(pubsubSubscriptions.keys())[Number(item.dataset.subscription)]);
+});
+
 function kvAdvancedQuery() {
     const type = document.getElementById('queryType').value;
     const pattern = document.getElementById('queryPattern').value.trim();
@@ -884,59 +503,210 @@ function kvAdvancedQuery() {
     }
 }
 
+// Asks for "name prefix path", e.g. "country user: address.country"
+function kvCreateIndex() {
+    const input = (prompt('Index name, key prefix and field path (e.g. "country user: address.country"):') || '').trim();
+    if (!input) return;
+
+    const [name, prefix = '', path = ''] = input.split(/\s+/);
+    try {
+        kvStore.createIndex(name, { prefix, path });
+        const { keys } = kvStore.indexes().find(index => index.name === name);
+        addTerminalLine(`CREATE INDEX ${name} ON ${prefix || '*'} ${path || '(value)'}`, 'info');
+        addTerminalLine(`✓ Indexed ${keys} keys`, 'success');
+        showToast(`Index '${name}' created`);
+    } catch (e) {
+        addTerminalLine(`✗ Error: ${e.message}`, 'error');
+        showToast(e.message, 'error');
+    }
+}
+
 // ============================================
 // VISUALIZATION FUNCTIONS
 // ============================================
 
 function updateVisualization() {
+    updateTimeline();
+    const { points, viewing, compareFrom } = timeTravel;
+    if (viewing === null && compareFrom === null) {
+        // Back to live: the checkpoint copy time travel read can go
+        kvStore.releaseTimeline();
+        renderEntries(kvStore.getAllEntries(), null);
+        return;
+    }
+
+    // Rebuilding from the WAL is async; drop results a later redraw has overtaken
+    const render = ++timeTravel.renders;
+    const shown = viewing === null ? points[points.length - 1] : points.find(point => point.seq === viewing);
+    const entries = viewing === null
+        ? Promise.resolve(kvStore.getAllEntries())
+        : kvStore.stateAt(viewing).then(state => Array.from(state, ([key, entry]) => kvStore.describeEntry(key, entry, shown.timestamp || undefined)));
+    const from = Math.min(compareFrom, shown.seq);
+    const to = Math.max(compareFrom, shown.seq);
+    const changes = compareFrom === null
+        ? Promise.resolve(null)
+        : kvStore.changesBetween(from, to).then(changes => ({ ...changes, from, to }));
+
+    Promise.all([entries, changes]).then(([entries, changes]) => {
+        if (render === timeTravel.renders) renderEntries(entries, changes);
+    }).catch(e => showToast(e.message, 'error'));
+}
+
+function renderEntries(entries, changes) {
     const container = document.getElementById('kvPairs');
-    const entries = kvStore.getAllEntries();
-    
+    const past = timeTravel.viewing !== null;
+    const changeOf = key => changes && ['added', 'changed', 'removed'].find(kind => changes[kind].includes(key));
+    renderChanges(entries, changes);
+
     if (entries.length === 0) {
-        container.innerHTML = '<p style="text-align: center; color: #94a3b8; padding: 2rem;">No data stored yet. Add some key-value pairs to get started!</p>';
+        container.innerHTML = past
+            ? '<p style="text-align: center; color: #94a3b8; padding: 2rem;">The store was empty at this point.</p>'
+            : '<p style="text-align: center; color: #94a3b8; padding: 2rem;">No data stored yet. Add some key-value pairs to get started!</p>';
         return;
     }
 
     container.innerHTML = entries.map(entry => {
         const encrypted = entry.encrypted ? '🔐' : '';
         const ttl = entry.ttl > 0 ? `⏱️ ${entry.ttl}s` : '';
+        // Never show ciphertext; decrypt from the Encryption tab instead
+        const value = entry.encrypted ? '••••••••' : formatValue(entry.value);
+        const change = changeOf(entry.key);
         
         return `
-            <div class="kv-pair">
+            <div class="kv-pair${change ? ' kv-' + change : ''}">
                 <div>
                     <span class="kv-key">${encrypted} ${escapeHtml(entry.key)}</span>
+                    <span class="kv-type">${escapeHtml(entry.type)} · v${entry.version}</span>
+                    ${change ? `<span class="kv-type">${change}</span>` : ''}
                     <span style="margin: 0 1rem;">→</span>
-                    <span class="kv-value">${escapeHtml(String(entry.value).substring(0, 50))}${String(entry.value).length > 50 ? '...' : ''}</span>
+                    <span class="kv-value">${escapeHtml(value.substring(0, 50))}${value.length > 50 ? '...' : ''}</span>
                     ${ttl ? `<span style="margin-left: 1rem; opacity: 0.8;">${ttl}</span>` : ''}
                 </div>
-                <div class="kv-actions">
+                ${past ? '' : `<div class="kv-actions">
                     <button class="kv-edit" onclick="editEntry('${escapeHtml(entry.key)}')">Edit</button>
                     <button class="kv-delete" onclick="deleteEntry('${escapeHtml(entry.key)}')">Delete</button>
-                </div>
+                </div>`}
             </div>
         `;
     }).join('');
 }
 
 function editEntry(key) {
-    const value = kvStore.get(key);
-    if (value !== null) {
-        document.getElementById('key').value = key;
-        document.getElementById('value').value = value;
-        window.scrollTo({ top: 0, behavior: 'smooth' });
-        showToast('Edit mode: Update the value and click PUT');
-    }
+    Promise.resolve(kvStore.get(key)).then(value => {
+        if (value !== null) {
+            document.getElementById('key').value = key;
+            document.getElementById('value').value = formatValue(value);
+            document.getElementById('valueType').value = valueTypeOption(ValueTypes.of(value));
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+            showToast('Edit mode: Update the value and click PUT');
+        }
+    }).catch(e => showToast(e.message, 'error'));
 }
 
 function deleteEntry(key) {
-    kvStore.delete(key);
-    updateVisualization();
-    updateStats();
+    undoable(`DELETE ${key}`, () => kvStore.delete(key));
     addTerminalLine(`DELETE ${key}`, 'info');
     addTerminalLine(`✓ Entry deleted`, 'success');
     showToast('Entry deleted!');
 }
 
+// ============================================
+// TIME TRAVEL FUNCTIONS
+// ============================================
+
+// The WAL points the slider steps through. `viewing` is the seq shown
+// (null = live data) and `compareFrom` the pinned one to diff it against.
+const timeTravel = { points: [], viewing: null, compareFrom: null, renders: 0 };
+
+function describePoint(point) {
+    if (point.op === 'CHECKPOINT') {
+        return `#${point.seq} checkpoint`;
+    }
+    const keys = point.keys.length > 2 ? `${point.keys.slice(0, 2).join(', ')}, …` : point.keys.join(', ');
+    return `#${point.seq} ${point.op} ${keys} · ${new Date(point.timestamp).toLocaleTimeString()}`;
+}
+
+function updateTimeline() {
+    const points = kvStore.timeline();
+    const covered = seq => points.some(point => point.seq === seq);
+    timeTravel.points = points;
+    if (timeTravel.viewing !== null && !covered(timeTravel.viewing)) {
+        timeTravel.viewing = null;
+        showToast('That point was folded into a checkpoint; showing live data', 'warning');
+    }
+    if (timeTravel.compareFrom !== null && !covered(timeTravel.compareFrom)) {
+        timeTravel.compareFrom = null;
+    }
+
+    const live = points[points.length - 1];
+    const index = points.findIndex(point => point.seq === timeTravel.viewing);
+    const slider = document.getElementById('timelineSlider');
+    slider.max = points.length - 1;
+    slider.value = timeTravel.viewing === null ? points.length - 1 : index;
+    slider.title = `Reaches back to the last checkpoint (#${points[0].seq}); `
+        + `the log is checkpointed every ${kvStore.checkpointing.maxWalRecords} writes`;
+
+    document.getElementById('timelineLabel').textContent = timeTravel.viewing === null
+        ? `Live · #${live.seq}`
+        : describePoint(points[index]);
+    document.getElementById('kvStateTitle').textContent = timeTravel.viewing === null
+        ? 'Current Store State'
+        : `Store State at #${timeTravel.viewing}`;
+    document.getElementById('timelineRestore').disabled = timeTravel.viewing === null;
+    document.getElementById('timelinePin').textContent = timeTravel.compareFrom === null
+        ? '📌 Compare'
+        : `📌 Unpin #${timeTravel.compareFrom}`;
+}
+
+function travelTo(index) {
+    const points = timeTravel.points;
+    timeTravel.viewing = index >= points.length - 1 ? null : points[index].seq;
+    updateVisualization();
+}
+
+// Pins the point on show; moving the slider then highlights what changed since
+function pinTimelinePoint() {
+    const points = timeTravel.points;
+    const shown = timeTravel.viewing === null ? points[points.length - 1].seq : timeTravel.viewing;
+    timeTravel.compareFrom = timeTravel.compareFrom === null ? shown : null;
+    updateVisualization();
+}
+
+function renderChanges(entries, changes) {
+    const summary = document.getElementById('timelineChanges');
+    if (!changes) {
+        summary.innerHTML = '';
+        return;
+    }
+
+    // Keys that aren't on show at this point, e.g. added later or already removed
+    const shown = new Set(entries.map(entry => entry.key));
+    const hidden = [...changes.added, ...changes.removed].filter(key => !shown.has(key));
+    summary.innerHTML = `
+        <p class="mb-1">
+            Between #${changes.from} and #${changes.to}:
+            ${changes.added.length} added, ${changes.changed.length} changed, ${changes.removed.length} removed
+            ${hidden.length > 0 ? ` · not at this point: ${hidden.map(escapeHtml).join(', ')}` : ''}
+        </p>
+    `;
+}
+
+function restoreTimelinePoint() {
+    const seq = timeTravel.viewing;
+    if (seq === null || !confirm(`Restore the whole store to how it was at #${seq}?`)) return;
+
+    addTerminalLine(`RESTORE #${seq}`, 'info');
+    kvStore.restoreTo(seq).then(({ written, deleted }) => {
+        timeTravel.viewing = null;
+        updateVisualization();
+        addTerminalLine(`✓ Restored to #${seq}: ${written} keys written, ${deleted} deleted`, 'success');
+        showToast(`Store restored to #${seq}`);
+    }).catch(e => {
+        addTerminalLine(`✗ ${e.message}`, 'error');
+        showToast(e.message, 'error');
+    });
+}
+
 // ============================================
 // STATISTICS FUNCTIONS
 // ============================================
@@ -963,17 +733,22 @@ function updateMonitoringDisplay(stats) {
     document.getElementById('opsPerSec').textContent = stats.opsPerSecond;
     document.getElementById('cacheEff').textContent = stats.cacheHitRate + '%';
     document.getElementById('avgLat').textContent = stats.avgLatency + 'ms';
+    document.getElementById('evictedKeys').textContent = stats.evictedKeys;
     
     // Update progress bars
     const memPercent = Math.min((parseFloat(stats.storageSize) / 1024) * 100, 100);
     const opsPercent = Math.min((stats.opsPerSecond / 100) * 100, 100);
     const cachePercent = parseFloat(stats.cacheHitRate);
     const latPercent = Math.min((parseFloat(stats.avgLatency) / 10) * 100, 100);
+    const budgetPercent = stats.memory.maxMemory > 0
+        ? Math.min((stats.memory.used / stats.memory.maxMemory) * 100, 100)
+        : 0;
     
     document.getElementById('memBar').style.width = memPercent + '%';
     document.getElementById('opsBar').style.width = opsPercent + '%';
     document.getElementById('cacheBar').style.width = cachePercent + '%';
     document.getElementById('latBar').style.width = latPercent + '%';
+    document.getElementById('evictBar').style.width = budgetPercent + '%';
 }
 
 // ============================================
@@ -1122,7 +897,7 @@ function performImport() {
         const data = e.target.result;
         const format = file.name.split('.').pop();
         
-        const result = kvStore.import(data, format);
+        const result = undoable(`IMPORT ${format.toUpperCase()}`, () => kvStore.import(data, format));
         
         const resultsDiv = document.getElementById('importResults');
         if (result.success) {
@@ -1133,9 +908,7 @@ function performImport() {
             `;
             addTerminalLine(`IMPORT ${format.toUpperCase()}`, 'info');
             addTerminalLine(`✓ Imported ${result.imported}/${result.total} entries`, 'success');
-            updateVisualization();
-            updateStats();
-            showToast('Data imported successfully!');
+                    showToast('Data imported successfully!');
         } else {
             resultsDiv.innerHTML = `
                 <div style="background: rgba(239,68,68,0.1); padding: 1rem; border-radius: 10px; margin-top: 1rem; color: var(--danger);">
@@ -1192,6 +965,21 @@ function analyzeStorage() {
         </div>`;
     });
     content += '</div>';
+
+    const compression = analysis.compression;
+    content += '<h3 style="color: var(--primary); margin-top: 2rem; margin-bottom: 1rem;">Compression</h3>';
+    content += '<div>';
+    content += `<div style="padding: 0.75rem; margin: 0.5rem 0; background: rgba(16,185,129,0.05); border-radius: 8px; display: flex; justify-content: space-between;">
+        <span>${compression.compressedKeys} compressed keys</span>
+        <span style="color: var(--success); font-weight: bold;">${compression.ratio.toFixed(2)}:1</span>
+    </div>`;
+    Object.entries(compression.codecs).forEach(([codec, count]) => {
+        content += `<div style="padding: 0.75rem; margin: 0.5rem 0; background: rgba(37,99,235,0.05); border-radius: 8px; display: flex; justify-content: space-between;">
+            <span style="font-family: monospace;">${codec}</span>
+            <span style="color: var(--primary); font-weight: bold;">${count} keys</span>
+        </div>`;
+    });
+    content += '</div>';
     
     showModal(content);
     
@@ -1199,6 +987,67 @@ function analyzeStorage() {
     addTerminalLine(`✓ Analysis complete: ${analysis.totalKeys} keys, ${(analysis.totalSize / 1024).toFixed(2)} KB`, 'success');
 }
 
+// ============================================
+// UNDO / REDO
+// ============================================
+
+// Undoable actions, newest last. Each keeps the database it ran on and the
+// entries its keys had before and after (see recordChanges() in the core).
+const undoStack = [];
+const redoStack = [];
+const UNDO_LIMIT = 50;
+
+// Runs a store action and keeps its inverse on the undo stack
+function undoable(label, fn) {
+    const store = kvStore;
+    const { result, changes, timestamp } = store.recordChanges(fn);
+    if (changes.size > 0) {
+        undoStack.push({ label, store, changes, timestamp });
+        if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+        redoStack.length = 0;
+    }
+    return result;
+}
+
+function undo() {
+    replayAction(undoStack, redoStack, 'UNDO', 'before');
+}
+
+function redo() {
+    replayAction(redoStack, undoStack, 'REDO', 'after');
+}
+
+// Moves the newest action from one stack to the other, writing back its
+// entries from before (undo) or after (redo) it ran
+function replayAction(from, to, verb, side) {
+    const action = from.pop();
+    if (!action) {
+        showToast(`Nothing to ${verb.toLowerCase()}`, 'warning');
+        return;
+    }
+
+    const entries = new Map(Array.from(action.changes, ([key, change]) => [key, change[side]]));
+    try {
+        const { written, deleted } = action.store.restoreEntries(entries, action.timestamp);
+        to.push(action);
+        const where = action.store === kvStore ? '' : ` in database '${action.store.name}'`;
+        addTerminalLine(`${verb} ${action.label}${where}`, 'info');
+        addTerminalLine(`✓ ${written} key(s) written back, ${deleted} deleted`, 'success');
+        const keys = Array.from(entries.keys());
+        keys.slice(0, 10).forEach(key => {
+            addTerminalLine(`  - ${key}${entries.get(key) ? '' : ' (removed)'}`, 'info');
+        });
+        if (keys.length > 10) {
+            addTerminalLine(`  ... and ${keys.length - 10} more`, 'info');
+        }
+        showToast(`${verb === 'UNDO' ? 'Undid' : 'Redid'} ${action.label}`);
+    } catch (e) {
+        from.push(action);
+        addTerminalLine(`✗ ${verb} failed: ${e.message}`, 'error');
+        showToast(e.message, 'error');
+    }
+}
+
 // ============================================
 // TERMINAL FUNCTIONS
 // ============================================
@@ -1317,6 +1166,17 @@ document.addEventListener('keydown', (e) => {
         showKeyboardShortcuts();
     }
     
+    // Ctrl+Z / Ctrl+Shift+Z: Undo / Redo, except while editing text
+    const editing = ['INPUT', 'TEXTAREA'].includes(e.target.tagName);
+    if (e.ctrlKey && !editing && e.key.toLowerCase() === 'z') {
+        e.preventDefault();
+        if (e.shiftKey) {
+            redo();
+        } else {
+            undo();
+        }
+    }
+    
     // Ctrl+Shift+C: Clear All
     if (e.ctrlKey && e.shiftKey && e.key === 'C') {
         e.preventDefault();
@@ -1335,6 +1195,8 @@ document.addEventListener('keydown', (e) => {
 // ============================================
 
 const commands = [
+    { name: 'Undo', action: () => undo(), shortcut: 'Ctrl+Z' },
+    { name: 'Redo', action: () => redo(), shortcut: 'Ctrl+Shift+Z' },
     { name: 'Clear All Data', action: () => kvClear(), shortcut: 'Ctrl+Shift+C' },
     { name: 'Export Data', action: () => openImportExport(), shortcut: 'Ctrl+E' },
     { name: 'Analyze Storage', action: () => analyzeStorage(), shortcut: '' },
@@ -1362,7 +1224,7 @@ function renderCommands(filter = '') {
     );
     
     results.innerHTML = filtered.map(cmd => `
-        <div class="command-item" onclick='${cmd.action.toString()}(); toggleCommandPalette();'>
+        <div class="command-item" data-command="${commands.indexOf(cmd)}">
             <span>${cmd.name}</span>
             <span class="command-shortcut">${cmd.shortcut}</span>
         </div>
@@ -1373,6 +1235,13 @@ document.getElementById('commandInput').addEventListener('input', (e) => {
     renderCommands(e.target.value);
 });
 
+document.getElementById('commandResults').addEventListener('click', (e) => {
+    const item = e.target.closest('.command-item');
+    if (!item) return;
+    toggleCommandPalette();
+    commands[Number(item.dataset.command)].action();
+});
+
 // ============================================
 // SEARCH FUNCTIONALITY
 // ============================================
@@ -1399,6 +1268,7 @@ function scrollToTop() {
 // ============================================
 
 document.addEventListener('DOMContentLoaded', () => {
+    renderDatabases();
     updateVisualization();
     updateStats();
     
@@ -1407,14 +1277,18 @@ document.addEventListener('DOMContentLoaded', () => {
         kvStore.put('user:001', 'Alice Johnson');
         kvStore.put('user:002', 'Bob Smith');
         kvStore.put('session:abc123', 'active', { ttl: 3600 });
-        kvStore.putEncrypted('secret:password', 'MySecurePassword123!');
         kvStore.put('config:theme', 'dark');
         kvStore.put('config:language', 'en-US');
-        
-        updateVisualization();
-        updateStats();
-        addTerminalLine('Demo data loaded successfully', 'success');
-        addTerminalLine(`Loaded 6 sample entries (1 encrypted, 1 with TTL)`, 'info');
+        kvStore.hset('user:001:profile', { name: 'Alice Johnson', roles: ['admin'], joined: new Date('2024-03-01') });
+        kvStore.rpush('queue:jobs', 'resize-image', 'send-email');
+        kvStore.sadd('tags:featured', 'kv', 'storage', 'demo');
+        kvStore.zadd('leaderboard', { alice: 120, bob: 95, carol: 140 });
+        kvStore.createIndex('role', { prefix: 'user:', path: 'roles' });
+
+        applyPassphrase().then(() => kvStore.putEncrypted('secret:password', 'MySecurePassword123!')).then(() => {
+            addTerminalLine('Demo data loaded successfully', 'success');
+            addTerminalLine(`Loaded 10 sample entries (1 encrypted, 1 with TTL, 1 hash, 1 list, 1 set, 1 sorted set)`, 'info');
+        });
     }, 1000);
 });
 